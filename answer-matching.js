@@ -0,0 +1,87 @@
+// Answer matching for drawing game
+// Decides whether a chat message is the word (or one of its aliases), forgiving case, accents, punctuation,
+// spacing and plurals, and spots near misses so the guesser can be told they're close
+
+const { readNumber } = require("./config");
+
+// How far off a near miss may be, as a fraction of the word's length in edit distance (at least one edit).
+// Used when a match doesn't specify its own.
+const CLOSE_GUESS_RATIO = readNumber("CLOSE_GUESS_RATIO", 0.25, ratio => ratio >= 0 && ratio < 1);
+
+// Letters that don't decompose into a base letter plus accent
+const LIGATURES = {
+    "œ": "oe",
+    "æ": "ae",
+    "ß": "ss",
+    "ø": "o",
+    "ł": "l"
+};
+
+// Plural endings and what each becomes in the singular
+const PLURAL_ENDINGS = [["ies", "y"], ["es", ""], ["s", ""], ["x", ""]];
+
+// Normalize text for comparison: lowercase, no accents, punctuation and hyphens as spaces, single spaces
+const normalizeAnswer = (text) => String(text)
+    .toLowerCase()
+    .replace(/[œæßøł]/g, char => LIGATURES[char])
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Utility: normalized text without spaces, so "ice cream", "ice-cream" and "icecream" compare equal
+const compact = (text) => normalizeAnswer(text).replace(/ /g, "");
+
+// Utility: a compacted word and every form of it with one plural ending removed
+// ("cookies" -> cookies, cooky, cooki, cookie), leaving at least three letters
+const getForms = (word) => [word, ...PLURAL_ENDINGS
+    .filter(([ending, replacement]) => word.endsWith(ending) && word.length - ending.length + replacement.length >= 3)
+    .map(([ending, replacement]) => word.slice(0, -ending.length) + replacement)];
+
+// Levenshtein distance between two strings, giving up (returning max + 1) once it's past `max`
+const editDistance = (a, b, max = Infinity) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Utility: is a compacted guess the answer, or a plural of it? Only the guess loses its plural ending; the
+// answer is compared as stored, so "dres" doesn't pass for "dress"
+const sameAnswer = (guess, answer) => getForms(guess).includes(answer);
+
+// Check a guess against the word and its aliases. Returns { correct, close }: close means a near miss
+// (within the edit distance allowed for the word's length) that wasn't correct.
+const matchAnswer = (guess, word, { aliases = [], closeRatio = CLOSE_GUESS_RATIO } = {}) => {
+    const guessed = compact(guess);
+    if (!guessed) return { correct: false, close: false };
+
+    const answers = [word, ...aliases].map(compact).filter(Boolean);
+    if (answers.some(answer => sameAnswer(guessed, answer))) {
+        return { correct: true, close: false };
+    }
+
+    const close = answers.some(answer => {
+        const allowed = Math.max(1, Math.floor(answer.length * closeRatio));
+        return editDistance(guessed, answer, allowed) <= allowed;
+    });
+    return { correct: false, close };
+};
+
+module.exports = {
+    CLOSE_GUESS_RATIO,
+    normalizeAnswer,
+    editDistance,
+    matchAnswer
+};
@@ -0,0 +1,93 @@
+// Chat guard for drawing game
+// Spots chat messages that give away the word, including obvious variants: spacing or punctuation between
+// letters, leetspeak, accents, repeated letters and letter case
+
+// Chat channels: everyone, only players who know the word (the drawer and correct guessers), or spectators
+const CHAT_CHANNELS = {
+    ALL: "all",
+    GUESSED: "guessed",
+    SPECTATORS: "spectators"
+};
+
+// Look-alike characters and the letter each one stands for
+const LOOKALIKES = {
+    "0": "o",
+    "1": "i",
+    "!": "i",
+    "|": "i",
+    "l": "i", // 1, l and I all read as the same stroke
+    "3": "e",
+    "4": "a",
+    "@": "a",
+    "5": "s",
+    "$": "s",
+    "7": "t",
+    "+": "t",
+    "8": "b",
+    "9": "g"
+};
+
+// Reduce text to a canonical string of letters: lowercase, no accents, look-alikes mapped to letters,
+// everything else dropped and runs of the same letter collapsed ("P1 z-Z  Ä!" -> "pizai")
+const canonicalize = (text) => String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split("")
+    .map(char => LOOKALIKES[char] || char)
+    .filter(char => /\p{L}/u.test(char))
+    .join("")
+    .replace(/(.)\1+/g, "$1");
+
+// Utility: can a character be part of a word? Letters, accents and look-alikes are; anything else separates words
+const isWordCharacter = (char) => /[\p{L}\p{M}]/u.test(char) || char in LOOKALIKES;
+
+// Utility: the words of a text, each canonicalized both as typed and without punctuation around it
+// ("$ugar!" -> { canonical: "sugari", trimmed: "ugar" }), leaving out anything with no letters
+const tokenize = (text) => Array.from(String(text))
+    .map(char => (isWordCharacter(char) ? char : " "))
+    .join("")
+    .split(" ")
+    .map(token => ({
+        canonical: canonicalize(token),
+        trimmed: canonicalize(token.replace(/^[\p{P}\p{S}]+|[\p{P}\p{S}]+$/gu, ""))
+    }))
+    .filter(token => token.canonical.length > 0);
+
+// Does a message contain the word or an obvious variant of it? Only whole words count ("great" doesn't give
+// away "eat"), but runs of single letters are read as one word so spelling it out ("c o o k i e") is caught.
+const containsWord = (message, word) => {
+    const target = canonicalize(word);
+    if (target.length === 0) return false;
+
+    const tokens = tokenize(message);
+    const targetLength = tokenize(word).length;
+
+    // The whole word as one token, or a multi-word answer typed word by word ("ice cream")
+    for (let start = 0; start < tokens.length; start++) {
+        if (tokens[start].canonical === target || tokens[start].trimmed === target) return true;
+
+        const words = tokens.slice(start, start + targetLength);
+        if (targetLength > 1 && words.length === targetLength && canonicalize(words.map(token => token.trimmed).join("")) === target) {
+            return true;
+        }
+    }
+
+    // Spelled out letter by letter
+    let run = "";
+    for (const token of [...tokens, { canonical: "", trimmed: "" }]) {
+        if (token.trimmed.length === 1) {
+            run += token.trimmed;
+            continue;
+        }
+        if (canonicalize(run).includes(target)) return true;
+        run = "";
+    }
+    return false;
+};
+
+module.exports = {
+    CHAT_CHANNELS,
+    canonicalize,
+    containsWord
+};
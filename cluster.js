@@ -0,0 +1,231 @@
+// Cluster mode for drawing game
+// Runs the backend as several worker processes under Node's cluster module (CLUSTER_WORKERS=2 or more).
+// The primary owns the HTTP port and hands each connection to a worker, keeping a Socket.IO client's
+// requests on one worker (sticky sessions); every worker runs its own engine, WebSocket and gRPC servers.
+//
+// Every room has exactly one owner worker, picked from a hash of its name, and only the owner keeps the room's
+// state and runs its turn timers. A connection that lands on another worker is forwarded: its join, events and
+// disconnect go to the owner, and the owner's events for it come back to the worker holding it. Workers talk
+// through the Socket.IO cluster adapter (server-side emits), which also carries room broadcasts between workers.
+//
+// A worker that dies is replaced under the same index, so it owns the same rooms and rehydrates them from storage
+// (file storage, the default; with STORAGE=memory its rooms are lost). Connections other workers forwarded to it are
+// closed so their players reconnect to the restored rooms.
+
+const cluster = require("cluster");
+const crypto = require("crypto");
+const http = require("http");
+const { createAdapter, setupPrimary } = require("@socket.io/cluster-adapter");
+const { setupMaster, setupWorker } = require("@socket.io/sticky");
+const { readNumber } = require("./config");
+
+// Worker count: a number, or "auto" for one per CPU. Anything below 2 runs a single process.
+const CLUSTER_WORKERS = process.env.CLUSTER_WORKERS === "auto"
+    ? require("os").availableParallelism()
+    : readNumber("CLUSTER_WORKERS", 1, count => Number.isInteger(count) && count > 1);
+
+// This worker's index (0 to CLUSTER_WORKERS - 1), set by the primary when it forks the worker
+const WORKER_INDEX = readNumber("WORKER_INDEX", 0, Number.isInteger);
+
+// Server-side events between workers; each carries the index of the worker it's `to`
+const MESSAGES = {
+    JOIN: "cluster:join",       // holder -> owner: a connection joins the owner's room
+    EVENT: "cluster:event",     // holder -> owner: a client event from a forwarded connection
+    LEAVE: "cluster:leave",     // holder -> owner: a forwarded connection closed
+    SEND: "cluster:send",       // owner -> holder: an event for a forwarded connection
+    CLOSE: "cluster:close",     // owner -> holder: close a forwarded connection
+    REQUEST: "cluster:request"  // any -> all: a request every worker answers (see REQUESTS)
+};
+
+// Primary -> workers: a worker exited (its replacement is starting)
+const WORKER_EXIT = "cluster:worker-exit";
+
+// Requests answered by every worker: each returns an answer (or a promise of one), or undefined when the worker
+// has nothing to say (e.g. it doesn't own the room)
+const REQUESTS = {
+    access: async (engine, { room, options }) => (engine.ownsRoom(room) ? { denied: await engine.checkEntry(room, options) } : undefined),
+    lobby: (engine) => engine.getLobby(),
+    gallery: (engine, { room }) => engine.gallery.list(room) || undefined,
+    "gallery:svg": (engine, { room, turn }) => engine.gallery.getSvg(room, turn) || undefined,
+    recording: (engine, { room }) => (engine.ownsRoom(room) ? { id: engine.recorder.getRecordingId(room) } : undefined)
+};
+
+// The worker that owns a room
+const getRoomOwner = (room, workerCount = CLUSTER_WORKERS) => crypto.createHash("sha1").update(String(room)).digest().readUInt32BE(0) % workerCount;
+
+// Connects a worker's engine to the other workers (see GameEngine's `cluster` option)
+class ClusterLink {
+    constructor({ workerIndex = WORKER_INDEX, workerCount = CLUSTER_WORKERS } = {}) {
+        this.workerIndex = workerIndex;
+        this.workerCount = workerCount;
+        this.io = null;
+
+        // Connections held here whose room another worker owns: Map<connectionId, { owner, send, close }>
+        this.forwarded = new Map();
+
+        // Requests answered here besides REQUESTS, for state kept outside the engine: Map<type, (data) => answer>
+        this.answers = new Map();
+    }
+
+    // Does this worker own the room?
+    owns(room) {
+        return getRoomOwner(room, this.workerCount) === this.workerIndex;
+    }
+
+    // Start talking to the other workers through a Socket.IO server using the cluster adapter
+    connect(io, engine) {
+        this.io = io;
+
+        // As the owner: run forwarded connections as if they were local, sending their events back to the holder
+        io.on(MESSAGES.JOIN, ({ to, from, connection }) => {
+            if (to !== this.workerIndex) return;
+            engine.join({
+                ...connection,
+                send: (event, payload, meta) => this.post(MESSAGES.SEND, { to: from, connectionId: connection.id, event, payload, meta }),
+                close: () => this.post(MESSAGES.CLOSE, { to: from, connectionId: connection.id })
+            });
+        });
+        io.on(MESSAGES.EVENT, ({ to, connectionId, event, payload }) => {
+            if (to === this.workerIndex) engine.handle(connectionId, event, payload);
+        });
+        io.on(MESSAGES.LEAVE, ({ to, connectionId }) => {
+            if (to === this.workerIndex) engine.leave(connectionId);
+        });
+
+        // As the holder: deliver what the owner sends
+        io.on(MESSAGES.SEND, ({ to, connectionId, event, payload, meta }) => {
+            if (to !== this.workerIndex) return;
+            const connection = this.forwarded.get(connectionId);
+            if (!connection) return;
+            try {
+                connection.send(event, payload, meta);
+            } catch (error) {
+                console.error(`Error sending ${event} to ${connectionId}:`, error);
+            }
+        });
+        io.on(MESSAGES.CLOSE, ({ to, connectionId }) => {
+            if (to === this.workerIndex) this.forwarded.get(connectionId)?.close();
+        });
+
+        io.on(MESSAGES.REQUEST, async ({ type, data }, reply) => {
+            reply(await (this.answers.has(type) ? this.answers.get(type)(data) : REQUESTS[type]?.(engine, data)));
+        });
+
+        // The owner of some rooms went away: close what was forwarded to it so those players reconnect
+        process.on("message", (message) => {
+            if (message?.type !== WORKER_EXIT) return;
+            this.forwarded.forEach((connection, connectionId) => {
+                if (connection.owner === message.index) {
+                    this.forwarded.delete(connectionId);
+                    connection.close();
+                }
+            });
+        });
+    }
+
+    // Answer another kind of request (see request) with handler(data), e.g. for the socket server's replay rooms
+    answer(type, handler) {
+        this.answers.set(type, handler);
+    }
+
+    // Utility: send a server-side event to the other workers
+    post(type, message) {
+        this.io.serverSideEmit(type, message);
+    }
+
+    // Hand a connection to the owner of its room. Returns its connection ID (the owner decides the user ID).
+    forwardJoin(connection) {
+        const { send, close, ...details } = connection;
+        const owner = getRoomOwner(connection.room, this.workerCount);
+
+        this.forwarded.set(connection.id, { owner, send, close });
+        this.post(MESSAGES.JOIN, { to: owner, from: this.workerIndex, connection: details });
+        return connection.id;
+    }
+
+    // Pass a client event on to the owner. Returns false if the connection isn't forwarded.
+    forwardEvent(connectionId, event, payload) {
+        const connection = this.forwarded.get(connectionId);
+        if (!connection) return false;
+
+        this.post(MESSAGES.EVENT, { to: connection.owner, connectionId, event, payload });
+        return true;
+    }
+
+    // Tell the owner a forwarded connection closed. Returns false if the connection isn't forwarded.
+    forwardLeave(connectionId) {
+        const connection = this.forwarded.get(connectionId);
+        if (!connection) return false;
+
+        this.forwarded.delete(connectionId);
+        this.post(MESSAGES.LEAVE, { to: connection.owner, connectionId });
+        return true;
+    }
+
+    // Ask every other worker; resolves to their answers (leaving out workers with nothing to say).
+    // Workers that don't answer within the adapter's timeout (5 seconds) are left out too.
+    request(type, data) {
+        return new Promise(resolve => {
+            this.io.serverSideEmit(MESSAGES.REQUEST, { type, data }, (error, answers = []) => {
+                if (error) console.error(`Cluster request ${type} incomplete:`, error.message);
+                resolve(answers.filter(answer => answer !== undefined && answer !== null));
+            });
+        });
+    }
+}
+
+// Set up a worker's Socket.IO server: connections arrive from the primary, and broadcasts and server-side
+// emits reach the other workers through the cluster adapter
+const setupSocketWorker = (io) => {
+    io.adapter(createAdapter());
+    setupWorker(io);
+};
+
+// Start the primary: it listens on the HTTP port, spreads connections over `workers` workers and replaces
+// any that exit. SIGINT / SIGTERM are passed on so each worker saves its rooms before the primary exits.
+const startPrimary = ({ workers = CLUSTER_WORKERS, port = process.env.PORT || 3001 } = {}) => {
+    // Advanced serialization keeps binary frames (Buffers) intact between processes
+    cluster.setupPrimary({ serialization: "advanced" });
+    setupPrimary();
+
+    const server = http.createServer();
+    setupMaster(server, { loadBalancingMethod: "least-connection" });
+    server.listen(port, () => console.log(`✅ Cluster primary on :${port} with ${workers} workers`));
+
+    let stopping = false;
+    const fork = (index) => cluster.fork({ WORKER_INDEX: String(index), CLUSTER_WORKERS: String(workers) }).on("exit", (code, signal) => {
+        if (stopping) {
+            if (Object.keys(cluster.workers).length === 0) process.exit(0);
+            return;
+        }
+
+        console.error(`💥 Worker ${index} exited (${signal || code}), starting a new one`);
+        Object.values(cluster.workers).forEach(worker => worker.send({ type: WORKER_EXIT, index }));
+        fork(index);
+    });
+
+    for (let index = 0; index < workers; index++) {
+        fork(index);
+    }
+
+    const shutdown = (signal) => {
+        stopping = true;
+        server.close();
+        if (Object.keys(cluster.workers).length === 0) process.exit(0);
+        Object.values(cluster.workers).forEach(worker => worker.process.kill(signal));
+    };
+    process.on("SIGINT", () => shutdown("SIGINT"));
+    process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+    return server;
+};
+
+module.exports = {
+    CLUSTER_WORKERS,
+    WORKER_INDEX,
+    REQUESTS,
+    getRoomOwner,
+    ClusterLink,
+    setupSocketWorker,
+    startPrimary
+};
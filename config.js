@@ -0,0 +1,39 @@
+// Configuration for drawing game
+// Reads settings from environment variables; anything missing or unusable falls back to the default.
+//
+// Environment variables (defaults in brackets):
+//   PORT                           HTTP port for Socket.IO, the REST API and the WebSocket endpoint [3001]
+//   GRPC_PORT                      gRPC port [50051]
+//   CLUSTER_WORKERS                worker processes, or "auto" for one per CPU; below 2 runs a single process [1]
+//   STORAGE                        where rooms are saved to survive a restart: "file" or "memory" [file]
+//   STORAGE_DIR                    directory for file storage [data/ next to this file]
+//   STORAGE_SAVE_DELAY_MS          wait after a room's state changes before saving it [1000]
+//   STORAGE_CANVAS_SAVE_DELAY_MS   wait after a finished stroke before checkpointing the canvas [10000]
+//   RECORDINGS_DIR                 directory for game recordings [recordings/ next to this file]
+//   RECORDINGS_TOKEN               bearer token for downloading recordings; downloads are off without one []
+//   RECONNECT_GRACE_SECONDS        how long a disconnected player's seat is held [30]
+//   GALLERY_RETENTION_MINUTES      how long a room's gallery is kept after its game [30]
+//   HINT_REVEAL_POINTS             fractions of turn time left at which a hint letter is revealed [0.5,0.25]
+//   CLOSE_GUESS_RATIO              edit distance that counts as a close guess, as a fraction of the word [0.25]
+//   CURSOR_TICK_MS                 milliseconds between cursor broadcasts, at least 10 [50]
+//   WS_HEARTBEAT_SECONDS           seconds between WebSocket heartbeat pings [30]
+
+// Read a number, falling back to `fallback` when it's missing, not a number or not `isValid`
+const readNumber = (name, fallback, isValid = () => true) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && isValid(value) ? value : fallback;
+};
+
+// Read a comma separated list of numbers, keeping the valid ones; falls back when none are
+const readNumberList = (name, fallback, isValid = () => true) => {
+    const values = String(process.env[name] || "")
+        .split(",")
+        .map(value => parseFloat(value))
+        .filter(value => Number.isFinite(value) && isValid(value));
+    return values.length > 0 ? values : fallback;
+};
+
+module.exports = {
+    readNumber,
+    readNumberList
+};
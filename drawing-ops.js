@@ -0,0 +1,196 @@
+// Drawing operations for drawing game
+// Versioned wire format for drawing tools (brush, eraser, fill bucket, shapes) and its validation
+
+// Current version of the drawing operation format
+const DRAWING_OP_VERSION = 1;
+
+const TOOLS = {
+    BRUSH: "brush",
+    ERASER: "eraser",
+    FILL: "fill",
+    LINE: "line",
+    RECT: "rect",
+    ELLIPSE: "ellipse"
+};
+
+// Tools drawn as a continuous run of moves (like plain segments) rather than one complete operation
+const CONTINUOUS_TOOLS = new Set([TOOLS.BRUSH, TOOLS.ERASER]);
+
+// Shapes that can be outlined and/or filled
+const SHAPE_TOOLS = new Set([TOOLS.RECT, TOOLS.ELLIPSE]);
+
+const BRUSH_STYLES = ["round", "square", "marker"];
+
+// Allowed ranges for numeric fields
+const LIMITS = {
+    coordinate: 10000,
+    width: { min: 0.5, max: 100 },
+    dpr: { min: 0.5, max: 5 },
+    tolerance: { min: 0, max: 255 },
+    batchPoints: 512
+};
+
+// #rgb, #rgba, #rrggbb or #rrggbbaa
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const isCoordinate = (value) => typeof value === "number" && Number.isFinite(value) && Math.abs(value) <= LIMITS.coordinate;
+const isColor = (value) => typeof value === "string" && COLOR_PATTERN.test(value);
+const isInRange = (value, { min, max }) => typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+
+// Treat null, undefined and empty strings (proto3 defaults) as "not set"
+const isUnset = (value) => value === undefined || value === null || value === "";
+
+// Utility: check a list of coordinate fields, returning an error message or null
+const checkCoordinates = (source, fields) => {
+    const invalid = fields.find(field => !isCoordinate(source[field]));
+    return invalid ? `${invalid} must be a number within ±${LIMITS.coordinate}` : null;
+};
+
+// Utility: check a width field, returning an error message or null
+const checkWidth = (width) => (isInRange(width, LIMITS.width)
+    ? null
+    : `width must be between ${LIMITS.width.min} and ${LIMITS.width.max}`);
+
+// Utility: check the optional color, width and dpr of a segment or segment batch, returning an error message or null
+const checkSegmentStyle = ({ color, width, dpr }) => {
+    if (!isUnset(color) && !isColor(color)) return "color must be a hex color like #1a2b3c";
+    // A width or dpr of 0 is the proto3 default, so it counts as unset too
+    if (width && checkWidth(width)) return checkWidth(width);
+    if (dpr && !isInRange(dpr, LIMITS.dpr)) return `dpr must be between ${LIMITS.dpr.min} and ${LIMITS.dpr.max}`;
+    return null;
+};
+
+// Validate a plain segment { x0, y0, x1, y1, color, width, dpr }.
+// Returns { segment } with only known fields, or { error }.
+const validateSegment = (segment) => {
+    if (!segment || typeof segment !== "object") {
+        return { error: "Segment must be an object" };
+    }
+
+    const coordinateError = checkCoordinates(segment, ["x0", "y0", "x1", "y1"]);
+    if (coordinateError) return { error: coordinateError };
+    const styleError = checkSegmentStyle(segment);
+    if (styleError) return { error: styleError };
+
+    const { x0, y0, x1, y1, color, width, dpr } = segment;
+    return { segment: { x0, y0, x1, y1, color, width, dpr } };
+};
+
+// Validate a batch of connected points from one pointer { points: [x0, y0, x1, y1, ...], color, width, dpr },
+// drawn as a segment between each pair of neighbouring points. Returns { batch } with only known fields, or { error }.
+const validateSegmentBatch = (batch) => {
+    if (!batch || typeof batch !== "object") {
+        return { error: "Segment batch must be an object" };
+    }
+
+    const { points, color, width, dpr } = batch;
+    if (!Array.isArray(points) || points.length < 4 || points.length % 2 !== 0) {
+        return { error: "points must be a flat list of at least two x, y pairs" };
+    }
+    if (points.length > LIMITS.batchPoints * 2) {
+        return { error: `A segment batch can have at most ${LIMITS.batchPoints} points` };
+    }
+    if (!points.every(isCoordinate)) {
+        return { error: `points must be numbers within ±${LIMITS.coordinate}` };
+    }
+    const styleError = checkSegmentStyle(batch);
+    if (styleError) return { error: styleError };
+
+    return { batch: { points: [...points], color, width, dpr } };
+};
+
+// Validate a drawing operation. Returns { op } normalized to the current version, or { error }.
+//   brush/eraser: { v, tool, x0, y0, x1, y1, width, color (brush only), style?, opacity?, dpr? }
+//   fill:         { v, tool, x, y, color, tolerance? }
+//   line:         { v, tool, x0, y0, x1, y1, color, width }
+//   rect/ellipse: { v, tool, x0, y0, x1, y1, width, color?, fillColor?, outline? }  (bounding box corners)
+const validateDrawingOp = (op) => {
+    if (!op || typeof op !== "object") {
+        return { error: "Drawing operation must be an object" };
+    }
+    if (op.v !== DRAWING_OP_VERSION) {
+        return { error: `Unsupported drawing operation version ${op.v}; expected ${DRAWING_OP_VERSION}` };
+    }
+    if (!Object.values(TOOLS).includes(op.tool)) {
+        return { error: `tool must be one of: ${Object.values(TOOLS).join(", ")}` };
+    }
+
+    const normalized = { v: DRAWING_OP_VERSION, tool: op.tool };
+
+    if (op.tool === TOOLS.FILL) {
+        const coordinateError = checkCoordinates(op, ["x", "y"]);
+        if (coordinateError) return { error: coordinateError };
+        if (!isColor(op.color)) return { error: "color must be a hex color like #1a2b3c" };
+        if (!isUnset(op.tolerance) && !isInRange(op.tolerance, LIMITS.tolerance)) {
+            return { error: `tolerance must be between ${LIMITS.tolerance.min} and ${LIMITS.tolerance.max}` };
+        }
+
+        return {
+            op: { ...normalized, x: op.x, y: op.y, color: op.color, tolerance: isUnset(op.tolerance) ? 0 : op.tolerance }
+        };
+    }
+
+    const coordinateError = checkCoordinates(op, ["x0", "y0", "x1", "y1"]);
+    if (coordinateError) return { error: coordinateError };
+    const widthError = checkWidth(op.width);
+    if (widthError) return { error: widthError };
+    Object.assign(normalized, { x0: op.x0, y0: op.y0, x1: op.x1, y1: op.y1, width: op.width });
+
+    if (CONTINUOUS_TOOLS.has(op.tool)) {
+        if (op.tool === TOOLS.BRUSH && !isColor(op.color)) return { error: "color must be a hex color like #1a2b3c" };
+        if (!isUnset(op.style) && !BRUSH_STYLES.includes(op.style)) {
+            return { error: `style must be one of: ${BRUSH_STYLES.join(", ")}` };
+        }
+        if (!isUnset(op.opacity) && !isInRange(op.opacity, { min: 0, max: 1 })) {
+            return { error: "opacity must be between 0 and 1" };
+        }
+        if (op.dpr && !isInRange(op.dpr, LIMITS.dpr)) {
+            return { error: `dpr must be between ${LIMITS.dpr.min} and ${LIMITS.dpr.max}` };
+        }
+
+        if (op.tool === TOOLS.BRUSH) normalized.color = op.color;
+        normalized.style = isUnset(op.style) ? "round" : op.style;
+        normalized.opacity = isUnset(op.opacity) ? 1 : op.opacity;
+        if (op.dpr) normalized.dpr = op.dpr;
+        return { op: normalized };
+    }
+
+    if (op.tool === TOOLS.LINE) {
+        if (!isColor(op.color)) return { error: "color must be a hex color like #1a2b3c" };
+        return { op: { ...normalized, color: op.color } };
+    }
+
+    // Shapes: outlined by default, optionally filled, but they must show something
+    const outline = isUnset(op.outline) ? true : op.outline;
+    if (typeof outline !== "boolean") return { error: "outline must be true or false" };
+    if (outline && !isColor(op.color)) return { error: "color must be a hex color like #1a2b3c" };
+    if (!isUnset(op.fillColor) && !isColor(op.fillColor)) return { error: "fillColor must be a hex color like #1a2b3c" };
+    if (!outline && isUnset(op.fillColor)) return { error: "A shape needs an outline, a fillColor or both" };
+
+    return {
+        op: {
+            ...normalized,
+            color: outline ? op.color : null,
+            fillColor: isUnset(op.fillColor) ? null : op.fillColor,
+            outline: outline
+        }
+    };
+};
+
+// Points an operation adds to the stroke log (a fill is a single point, everything else two)
+const getOpPointCount = (op) => (op.tool === TOOLS.FILL ? 1 : 2);
+
+const isContinuousOp = (op) => CONTINUOUS_TOOLS.has(op.tool);
+
+module.exports = {
+    DRAWING_OP_VERSION,
+    TOOLS,
+    SHAPE_TOOLS,
+    BRUSH_STYLES,
+    LIMITS,
+    validateSegment,
+    validateSegmentBatch,
+    validateDrawingOp,
+    getOpPointCount,
+    isContinuousOp
+};
@@ -0,0 +1,196 @@
+// Drawing stream for drawing game
+// How drawing and cursor updates reach each connection. Clients pick a stream format when they join:
+//   segments  one "segment" event per line and one "cursor" event per pointer (the original format; default)
+//   batch     "segment:batch" runs of points and "cursor:batch" lists of pointers, as JSON
+//   binary    like batch, but segment runs travel as compact "segment:bin" binary frames (Socket.IO only)
+//
+// Binary segment batch layout (all integers little-endian):
+//   u8  version (BINARY_VERSION)
+//   u8  flags: 1 color, 2 width, 4 dpr, 8 strokeId (which optional fields follow)
+//   [u32 color as 0xRRGGBBAA] [u16 width in tenths] [u8 dpr in tenths] [u8 length + UTF-8 strokeId]
+//   varint point count, then each point as zigzag varint deltas from the previous one (the first from 0, 0),
+//   in units of 1 / COORDINATE_SCALE pixels
+
+const { readNumber } = require("./config");
+
+const STREAM_FORMATS = {
+    SEGMENTS: "segments",
+    BATCH: "batch",
+    BINARY: "binary"
+};
+
+// Milliseconds between cursor broadcasts; pointers that moved in between are sent once, at their latest position
+const CURSOR_TICK_MS = readNumber("CURSOR_TICK_MS", 50, ms => Number.isInteger(ms) && ms >= 10);
+
+const BINARY_VERSION = 1;
+
+// Binary coordinates are quantized to a tenth of a pixel
+const COORDINATE_SCALE = 10;
+
+const FLAGS = {
+    COLOR: 1,
+    WIDTH: 2,
+    DPR: 4,
+    STROKE_ID: 8
+};
+
+// Stream format for a connection: what it asked for, if its transport can carry it
+const getStreamFormat = (requested, { binaryFrames = false } = {}) => {
+    if (requested === STREAM_FORMATS.BINARY) return binaryFrames ? STREAM_FORMATS.BINARY : STREAM_FORMATS.BATCH;
+    return requested === STREAM_FORMATS.BATCH ? STREAM_FORMATS.BATCH : STREAM_FORMATS.SEGMENTS;
+};
+
+// Utility: a plain segment as a two-point batch
+const segmentToBatch = ({ x0, y0, x1, y1, color, width, dpr }) => ({ points: [x0, y0, x1, y1], color, width, dpr });
+
+// Utility: a batch as the segments between its neighbouring points
+const batchToSegments = ({ points, color, width, dpr }) => {
+    const segments = [];
+    for (let i = 2; i < points.length; i += 2) {
+        segments.push({ x0: points[i - 2], y0: points[i - 1], x1: points[i], y1: points[i + 1], color, width, dpr });
+    }
+    return segments;
+};
+
+// Utility: "#rgb", "#rgba", "#rrggbb" or "#rrggbbaa" as a 0xRRGGBBAA number
+const colorToNumber = (color) => {
+    let hex = color.slice(1);
+    if (hex.length <= 4) hex = hex.split("").map(digit => digit + digit).join("");
+    if (hex.length === 6) hex += "ff";
+    return parseInt(hex, 16) >>> 0;
+};
+
+// Utility: a 0xRRGGBBAA number as "#rrggbb" (or "#rrggbbaa" when it isn't opaque)
+const numberToColor = (value) => {
+    const hex = value.toString(16).padStart(8, "0");
+    return `#${hex.endsWith("ff") ? hex.slice(0, 6) : hex}`;
+};
+
+// Utility: append an unsigned varint
+const writeVarint = (bytes, value) => {
+    while (value > 0x7f) {
+        bytes.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+    }
+    bytes.push(value);
+};
+
+// Encode a segment batch { points, color, width, dpr, strokeId } as a binary frame
+const encodeSegmentBatch = ({ points, color, width, dpr, strokeId }) => {
+    const header = Buffer.alloc(9);
+    let offset = 2;
+    let flags = 0;
+
+    if (color) {
+        flags |= FLAGS.COLOR;
+        header.writeUInt32LE(colorToNumber(color), offset);
+        offset += 4;
+    }
+    if (width) {
+        flags |= FLAGS.WIDTH;
+        header.writeUInt16LE(Math.round(width * 10), offset);
+        offset += 2;
+    }
+    if (dpr) {
+        flags |= FLAGS.DPR;
+        header.writeUInt8(Math.round(dpr * 10), offset);
+        offset += 1;
+    }
+
+    const bytes = [];
+    if (strokeId) {
+        flags |= FLAGS.STROKE_ID;
+        const id = Buffer.from(String(strokeId), "utf8").subarray(0, 255);
+        bytes.push(id.length, ...id);
+    }
+
+    writeVarint(bytes, points.length / 2);
+    points.forEach((coordinate, index) => {
+        // x values follow x values and y values follow y values
+        const base = index < 2 ? 0 : Math.round(points[index - 2] * COORDINATE_SCALE);
+        const quantized = Math.round(coordinate * COORDINATE_SCALE);
+        const delta = quantized - base;
+        writeVarint(bytes, delta >= 0 ? delta * 2 : -delta * 2 - 1); // zigzag
+    });
+
+    header.writeUInt8(BINARY_VERSION, 0);
+    header.writeUInt8(flags, 1);
+    return Buffer.concat([header.subarray(0, offset), Buffer.from(bytes)]);
+};
+
+// Decode a binary segment batch. Returns { batch } or { error } for a malformed frame.
+const decodeSegmentBatch = (data) => {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    let offset = 0;
+
+    const need = (count) => {
+        if (offset + count > buffer.length) throw new Error("Binary segment batch is truncated");
+    };
+    const readVarint = () => {
+        let value = 0;
+        for (let shift = 0; shift < 35; shift += 7) {
+            need(1);
+            const byte = buffer[offset++];
+            value += (byte & 0x7f) * 2 ** shift;
+            if (byte < 0x80) return value;
+        }
+        throw new Error("Binary segment batch has a malformed number");
+    };
+
+    try {
+        need(2);
+        const version = buffer.readUInt8(offset++);
+        const flags = buffer.readUInt8(offset++);
+        if (version !== BINARY_VERSION) {
+            return { error: `Unsupported binary segment batch version ${version}` };
+        }
+
+        const batch = {};
+        if (flags & FLAGS.COLOR) {
+            need(4);
+            batch.color = numberToColor(buffer.readUInt32LE(offset));
+            offset += 4;
+        }
+        if (flags & FLAGS.WIDTH) {
+            need(2);
+            batch.width = buffer.readUInt16LE(offset) / 10;
+            offset += 2;
+        }
+        if (flags & FLAGS.DPR) {
+            need(1);
+            batch.dpr = buffer.readUInt8(offset) / 10;
+            offset += 1;
+        }
+        if (flags & FLAGS.STROKE_ID) {
+            need(1);
+            const length = buffer.readUInt8(offset++);
+            need(length);
+            batch.strokeId = buffer.toString("utf8", offset, offset + length);
+            offset += length;
+        }
+
+        const count = readVarint();
+        batch.points = [];
+        for (let i = 0; i < count * 2; i++) {
+            const zigzag = readVarint();
+            const delta = zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+            const base = i < 2 ? 0 : batch.points[i - 2] * COORDINATE_SCALE;
+            batch.points.push((Math.round(base) + delta) / COORDINATE_SCALE);
+        }
+        return { batch };
+    } catch (error) {
+        return { error: error.message };
+    }
+};
+
+module.exports = {
+    STREAM_FORMATS,
+    CURSOR_TICK_MS,
+    BINARY_VERSION,
+    COORDINATE_SCALE,
+    getStreamFormat,
+    segmentToBatch,
+    batchToSegments,
+    encodeSegmentBatch,
+    decodeSegmentBatch
+};
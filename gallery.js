@@ -0,0 +1,84 @@
+// Drawing gallery for drawing game
+// Keeps each finished turn's SVG per room and drops a room's gallery a while after its game ends
+
+const { readNumber } = require("./config");
+const { renderTurnSvg } = require("./svg-export");
+
+// Minutes a gallery is kept after the game ends, when it doesn't specify its own
+const GALLERY_RETENTION_MINUTES = readNumber("GALLERY_RETENTION_MINUTES", 30, minutes => minutes > 0);
+
+class Gallery {
+    constructor({ retentionMinutes = GALLERY_RETENTION_MINUTES } = {}) {
+        this.retentionMs = retentionMinutes * 60 * 1000;
+
+        // Galleries by room: Map<room, { turns, expiresAt, timer }>
+        this.rooms = new Map();
+    }
+
+    // Start an empty gallery for a new game (replacing the previous game's drawings)
+    startGame(room) {
+        this.remove(room);
+        this.rooms.set(room, { turns: [], expiresAt: null, timer: null });
+    }
+
+    // Render and keep a finished turn's drawing. Returns the stored turn, or null without a gallery.
+    addTurn(room, { entries, word, drawer, guessers = [], round = null }) {
+        const gallery = this.rooms.get(room);
+        if (!gallery) return null;
+
+        const turn = {
+            turn: gallery.turns.length + 1,
+            round: round,
+            word: word,
+            drawer: drawer,
+            guessers: guessers,
+            createdAt: new Date().toISOString(),
+            svg: renderTurnSvg(entries, { word, drawer, guessers, round })
+        };
+        gallery.turns.push(turn);
+        return turn;
+    }
+
+    // Keep the room's gallery for the retention time, then drop it
+    expireLater(room) {
+        const gallery = this.rooms.get(room);
+        if (!gallery) return;
+
+        clearTimeout(gallery.timer);
+        gallery.expiresAt = Date.now() + this.retentionMs;
+        gallery.timer = setTimeout(() => this.rooms.delete(room), this.retentionMs);
+        gallery.timer.unref?.();
+    }
+
+    // Drop a room's gallery now
+    remove(room) {
+        const gallery = this.rooms.get(room);
+        if (gallery) {
+            clearTimeout(gallery.timer);
+            this.rooms.delete(room);
+        }
+    }
+
+    // Gallery listing without the SVG bodies, or null if the room has none
+    list(room) {
+        const gallery = this.rooms.get(room);
+        if (!gallery) return null;
+
+        return {
+            room: room,
+            expiresAt: gallery.expiresAt,
+            turns: gallery.turns.map(({ svg, ...turn }) => turn)
+        };
+    }
+
+    // SVG for one turn (numbered from 1), or null
+    getSvg(room, turnNumber) {
+        const gallery = this.rooms.get(room);
+        return gallery?.turns[turnNumber - 1]?.svg || null;
+    }
+}
+
+module.exports = {
+    GALLERY_RETENTION_MINUTES,
+    Gallery
+};
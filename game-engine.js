@@ -0,0 +1,2001 @@
+// Game engine for drawing game
+// Owns rooms, turns, scoring and timers for every transport. Socket.IO and gRPC are thin adapters:
+// they register connections with a send(event, payload, meta) function and pass client events to handle().
+//
+// Connections and players are separate: a player keeps their user ID across reconnects by presenting the
+// session token they were issued, and a disconnected player's seat is held for the reconnect grace period.
+//
+// Rooms are saved to a storage shortly after their state changes (and the canvas now and then), so a restarted server can rehydrate them (see rehydrate).
+// As one worker of a cluster (see cluster.js) the engine only runs the rooms it owns and forwards the rest.
+//
+// Event names are the Socket.IO ones ("turn:start", "segment", ...); adapters translate them for their wire format.
+// `meta` carries { room, from } where `from` is the user an event came from (drawing relays, cursors).
+
+const { HINT_REVEAL_POINTS, buildHint, revealForCountdown } = require('./word-hints');
+const { WORD_CHOICE_SECONDS, getDifficultyMultiplier, getWordAliases, pickWordOptions } = require('./word-bank');
+const { PHASES, END_REASONS, PAUSE_REASONS, TurnStateMachine } = require('./turn-state');
+const { recordCorrectGuess, recordTurnDrawn, rankPlayers, buildPodium } = require('./game-stats');
+const { createSettings, validateSettings, getWordOptionsConfig } = require('./room-settings');
+const { StrokeLog, toPublicStroke } = require('./stroke-log');
+const { validateSegment, validateSegmentBatch, validateDrawingOp, isContinuousOp } = require('./drawing-ops');
+const {
+    STREAM_FORMATS, CURSOR_TICK_MS, getStreamFormat, segmentToBatch, batchToSegments, encodeSegmentBatch
+} = require('./drawing-stream');
+const { DIRECTIONS, GameRecorder } = require('./game-recorder');
+const { Gallery } = require('./gallery');
+const { SessionStore } = require('./sessions');
+const { VISIBILITY, RoomRegistry, describeRoom } = require('./room-registry');
+const { CHAT_CHANNELS, containsWord } = require('./chat-guard');
+const { matchAnswer } = require('./answer-matching');
+const { getScoringStrategy } = require('./scoring');
+const { TEAM_MODES, getTeams, pickTeam, pickTeamDrawer, buildTeamScores, rankTeams } = require('./teams');
+const { validateEvent, cleanUserName, checkRoomName } = require('./validation');
+const { RateLimiter } = require('./rate-limiter');
+const { SAVE_DELAY_MS, CANVAS_SAVE_DELAY_MS, MemoryStorage } = require('./storage');
+const { REQUESTS } = require('./cluster');
+
+// Client events and the method handling each one
+const HANDLERS = {
+    'segment': 'handleSegment',
+    'segment:batch': 'handleSegmentBatch',
+    'segment:bin': 'handleSegmentBatch', // decoded to a batch by validation
+    'draw:op': 'handleDrawOp',
+    'stroke:begin': 'handleStrokeBegin',
+    'stroke:end': 'handleStrokeEnd',
+    'stroke:undo': 'handleStrokeUndo',
+    'stroke:redo': 'handleStrokeRedo',
+    'clear': 'handleClear',
+    'cursor': 'handleCursor',
+    'word:select': 'handleWordSelect',
+    'settings:update': 'handleSettingsUpdate',
+    'game:start': 'handleGameStart',
+    'game:rematch': 'handleRematch',
+    'chat:message': 'handleChatMessage',
+    'host:kick': 'handleKick',
+    'host:ban': 'handleBan',
+    'host:transfer': 'handleHostTransfer',
+    'host:lock': 'handleLock',
+    'host:skip': 'handleSkip',
+    'role:switch': 'handleRoleSwitch',
+    'team:join': 'handleTeamJoin',
+    'host:team': 'handleTeamAssign'
+};
+
+// What a user does in a room: players draw and guess, spectators only watch and chat among themselves
+const ROLES = {
+    PLAYER: 'player',
+    SPECTATOR: 'spectator'
+};
+
+// Broadcasts that mean a room's state changed, so it's saved soon after. Timer ticks, chat, cursors and
+// drawing traffic aren't here: saving on those would rewrite busy rooms every second.
+const STATE_EVENTS = new Set([
+    'user:joined', 'user:left', 'user:disconnected', 'user:reconnected', 'users:update', 'role:changed', 'teams:update',
+    'room:host', 'room:locked', 'room:settings', 'game:paused', 'game:resumed', 'game:over', 'game:rematch',
+    'round:start', 'turn:start', 'turn:phase', 'turn:paused', 'turn:resumed', 'turn:end', 'word:selected',
+    'word:hint', 'guess:correct'
+]);
+
+// Broadcasts that finish a change to the canvas; the drawing is checkpointed after CANVAS_SAVE_DELAY_MS
+const CANVAS_EVENTS = new Set(['stroke:end', 'stroke:undo', 'stroke:redo', 'draw:op', 'clear']);
+
+// Events kept from a connection waiting for its password to be checked; more are dropped
+const MAX_PENDING_EVENTS = 50;
+
+// Connected players a game needs to keep turning; with fewer it waits for more to join
+const MIN_PLAYERS = 2;
+
+// Why a room's host changed
+const HOST_REASONS = {
+    CREATED: 'created',
+    PROMOTED: 'promoted',
+    TRANSFERRED: 'transferred'
+};
+
+class GameEngine {
+    constructor({
+        recorder = new GameRecorder(),
+        gallery = new Gallery(),
+        sessions = new SessionStore(),
+        rooms = new RoomRegistry(),
+        storage = new MemoryStorage(),
+        cluster = null
+    } = {}) {
+        // Track open connections by connection ID: Map<connectionId, { id, userId, room, transport, send, close }>
+        this.connections = new Map();
+
+        // Connections waiting for their password to be checked, with the events they sent meanwhile:
+        // Map<connectionId, Array<[event, payload]>>
+        this.pendingJoins = new Map();
+
+        // Track each connected player's connection: Map<userId, connectionId>
+        this.userConnections = new Map();
+
+        // Track users by room: Map<room, Map<userId, userInfo>>
+        this.roomUsers = new Map();
+
+        // Track game state by room
+        this.roomGames = new Map();
+
+        // Track correct guessers for current round: Map<room, Set<userId>>
+        this.roomCorrectGuessers = new Map();
+
+        // Track turn state machines by room (they own every turn timer): Map<room, TurnStateMachine>
+        this.roomTurnMachines = new Map();
+
+        // Track turn order by room (user IDs in the order they joined): Map<room, userId[]>
+        this.roomTurnOrder = new Map();
+
+        // Track current turn index by room: Map<room, number>
+        this.roomTurnIndex = new Map();
+
+        // Track words already played by room: Map<room, Set<word>>
+        this.roomUsedWords = new Map();
+
+        // Track host-chosen settings by room: Map<room, settings>
+        this.roomSettings = new Map();
+
+        // Track what has been drawn this turn by room: Map<room, StrokeLog>
+        this.roomStrokeLogs = new Map();
+
+        // Cursor positions waiting for the room's next cursor tick: Map<room, { pending: Map<userId, { x, y }>, timer }>
+        this.roomCursors = new Map();
+
+        // Track each room's host: Map<room, userId>
+        this.roomHosts = new Map();
+
+        // Track rooms the host has locked against new players: Set<room>
+        this.lockedRooms = new Set();
+
+        // Track banned session tokens by room: Map<room, Set<token>>
+        this.roomBans = new Map();
+
+        // Record every game's events to disk
+        this.recorder = recorder;
+
+        // Keep each game's finished drawings by room
+        this.gallery = gallery;
+
+        // Session tokens and seats held for disconnected players
+        this.sessions = sessions;
+
+        // Rooms created through the REST API (join codes, visibility, passwords)
+        this.rooms = rooms;
+
+        // Room snapshots that survive a restart
+        this.storage = storage;
+
+        // Rooms changed since they were last saved, and the timer that saves them (and when it fires): Set<room>
+        this.unsavedRooms = new Set();
+        this.saveTimer = null;
+        this.saveDue = 0;
+
+        // Link to the other workers when running as one worker of a cluster (a ClusterLink), or null
+        this.cluster = cluster;
+    }
+
+    // Utility: does this process run the room's game? (always, unless it's one worker of a cluster)
+    ownsRoom(room) {
+        return !this.cluster || this.cluster.owns(room);
+    }
+
+    // Ask about a room (see REQUESTS in cluster.js): answered here if this process owns it, or by the worker that does
+    async askOwner(room, type, data) {
+        if (this.ownsRoom(room)) return REQUESTS[type](this, data);
+
+        const [answer] = await this.cluster.request(type, data);
+        return answer;
+    }
+
+    // Check whether a connection may enter a room, wherever the room runs. Resolves to what checkEntry returns
+    // (null if the owner didn't answer in time; it checks again when the connection joins).
+    async checkRoomAccess(room, options) {
+        const answer = await this.askOwner(room, 'access', { room, options });
+        return answer?.denied || null;
+    }
+
+    // Utility: is the room listed in the lobby? (Private rooms and rooms never registered aren't: their name is
+    // all it takes to join them.)
+    isListedRoom(room) {
+        return this.rooms.get(room)?.visibility === VISIBILITY.PUBLIC;
+    }
+
+    // Public rooms run here, for the lobby
+    getLobby() {
+        return this.rooms.listPublic().map(room => ({ ...describeRoom(room), ...this.getRoomSummary(room.code) }));
+    }
+
+    // Public rooms for the lobby from every worker, oldest first
+    async listLobby() {
+        const rooms = this.getLobby();
+        if (!this.cluster) return rooms;
+
+        const others = await this.cluster.request('lobby');
+        return rooms.concat(...others).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // Utility: get user info
+    getUserInfo(userId, userName, role = ROLES.PLAYER) {
+        return {
+            id: userId,
+            userName: userName || `User ${userId.slice(0, 6)}`,
+            points: 0,
+            joinedAt: new Date().toISOString(),
+            connected: true,
+            role: role,
+            team: null
+        };
+    }
+
+    // Utility: get a player's open connection, if they have one
+    getConnection(userId) {
+        return this.connections.get(this.userConnections.get(userId));
+    }
+
+    // Utility: players in a room (everyone but spectators)
+    getPlayers(room) {
+        return Array.from(this.roomUsers.get(room)?.values() || []).filter(user => user.role === ROLES.PLAYER);
+    }
+
+    // Utility: players with an open connection (disconnected players keep their seat but don't play)
+    getConnectedPlayers(room) {
+        return this.getPlayers(room).filter(user => user.connected);
+    }
+
+    // Utility: is this user watching rather than playing?
+    isSpectator(room, userId) {
+        return this.roomUsers.get(room)?.get(userId)?.role === ROLES.SPECTATOR;
+    }
+
+    // Utility: the room's teams, or none when team mode is off
+    getTeams(room) {
+        const settings = this.getRoomSettings(room);
+        return settings.teamMode === TEAM_MODES.OFF ? [] : getTeams(settings.teams);
+    }
+
+    // Utility: put every player without a team in play on the smallest team (spectators have no team)
+    assignTeams(room) {
+        const teams = this.getTeams(room);
+        const players = this.getPlayers(room);
+        this.roomUsers.get(room)?.forEach(user => {
+            if (user.role !== ROLES.PLAYER || !teams.includes(user.team)) {
+                user.team = null;
+            }
+        });
+        if (teams.length === 0) return;
+
+        players.filter(player => !player.team).forEach(player => {
+            player.team = pickTeam(teams, players);
+        });
+    }
+
+    // Utility: can this user score on the current turn? With "teammates" team scoring only the drawer's team can
+    canGuess(room, game, user) {
+        if (user.role !== ROLES.PLAYER || user.id === game.currentDrawer) return false;
+        if (this.getRoomSettings(room).teamMode !== TEAM_MODES.TEAMMATES) return true;
+        return user.team === this.roomUsers.get(room)?.get(game.currentDrawer)?.team;
+    }
+
+    // Utility: add points to a player and to their team's total
+    addPoints(game, user, points) {
+        user.points = (user.points || 0) + points;
+        if (user.team) {
+            game.teamPoints.set(user.team, (game.teamPoints.get(user.team) || 0) + points);
+        }
+    }
+
+    // Utility: get (or create) settings for room (registered rooms start with the settings they were created with)
+    getRoomSettings(room) {
+        if (!this.roomSettings.has(room)) {
+            const initial = this.rooms.getInitialSettings(room);
+            this.roomSettings.set(room, initial ? { ...initial, customWords: [...initial.customWords] } : createSettings());
+        }
+        return this.roomSettings.get(room);
+    }
+
+    // Utility: get (or create) the stroke log for room
+    getStrokeLog(room) {
+        if (!this.roomStrokeLogs.has(room)) {
+            this.roomStrokeLogs.set(room, new StrokeLog());
+        }
+        return this.roomStrokeLogs.get(room);
+    }
+
+    // Utility: only the current drawer may draw while a game is running; any player can draw before it starts
+    canDraw(room, userId) {
+        if (this.isSpectator(room, userId)) return false;
+
+        const game = this.roomGames.get(room);
+        return !game?.gameStarted || game.currentDrawer === userId;
+    }
+
+    // Utility: is this user the room's host?
+    isHost(room, userId) {
+        return this.roomHosts.get(room) === userId;
+    }
+
+    // Utility: refuse a host-only action from anyone else. Returns true if the user is the host.
+    requireHost(room, userId, action) {
+        if (this.isHost(room, userId)) return true;
+        this.sendError(userId, 'NOT_HOST', `Only the host can ${action}`);
+        return false;
+    }
+
+    // Utility: make a user the room's host and tell everyone
+    setHost(room, userId, reason) {
+        const host = this.roomUsers.get(room)?.get(userId);
+        if (!host) return;
+
+        this.roomHosts.set(room, userId);
+        this.broadcast(room, 'room:host', { host, reason });
+        console.log(`👑 ${host.userName} is now host of room ${room} (${reason})`);
+    }
+
+    // Utility: hand the host role to the longest-present player (preferring connected players over spectators)
+    promoteHost(room) {
+        const users = Array.from(this.roomUsers.get(room)?.values() || []);
+        const next = users.find(user => user.connected && user.role === ROLES.PLAYER) ||
+            users.find(user => user.connected) || users[0];
+        if (next) {
+            this.setHost(room, next.id, HOST_REASONS.PROMOTED);
+        }
+    }
+
+    // Utility: record an event in the room's game recording
+    record(room, direction, event, payload, options) {
+        this.recorder.record(room, direction, event, payload === undefined ? [] : [payload], options);
+    }
+
+    // Send an event to one user, if they're still connected. Not recorded: recordings can be downloaded, and what's
+    // sent to one player may be theirs alone (the word, their session token).
+    send(userId, event, payload, { from } = {}) {
+        const connection = this.getConnection(userId);
+        if (!connection) return;
+
+        this.deliver(connection, event, payload, { room: connection.room, from });
+    }
+
+    // Broadcast an event to everyone in a room except the listed users
+    broadcast(room, event, payload, { except = [], from } = {}) {
+        this.record(room, DIRECTIONS.OUT, event, payload, { except });
+        if (STATE_EVENTS.has(event)) {
+            this.scheduleSave(room);
+        } else if (CANVAS_EVENTS.has(event)) {
+            this.scheduleSave(room, CANVAS_SAVE_DELAY_MS);
+        }
+        this.roomUsers.get(room)?.forEach((user, userId) => {
+            if (!except.includes(userId)) {
+                this.deliver(this.getConnection(userId), event, payload, { room, from });
+            }
+        });
+    }
+
+    // Broadcast an event to players who haven't seen the word (not the drawer, not correct guessers)
+    broadcastToGuessers(room, event, payload) {
+        const game = this.roomGames.get(room);
+        const correctGuessers = this.roomCorrectGuessers.get(room) || new Set();
+        this.broadcast(room, event, payload, { except: [game?.currentDrawer, ...correctGuessers].filter(Boolean) });
+    }
+
+    // Broadcast an event to players who know the word (the drawer and correct guessers)
+    broadcastToWordKnowers(room, event, payload) {
+        const game = this.roomGames.get(room);
+        const correctGuessers = this.roomCorrectGuessers.get(room) || new Set();
+        const others = Array.from(this.roomUsers.get(room)?.keys() || [])
+            .filter(id => id !== game?.currentDrawer && !correctGuessers.has(id));
+        this.broadcast(room, event, payload, { except: others });
+    }
+
+    // Utility: hand an event to a connection's transport
+    deliver(connection, event, payload, meta) {
+        if (!connection) return;
+        try {
+            connection.send(event, payload, meta);
+        } catch (error) {
+            console.error(`Error sending ${event} to ${connection.id}:`, error);
+        }
+    }
+
+    // Utility: send a structured error to one user
+    sendError(userId, code, message) {
+        this.send(userId, 'error', { code, message });
+    }
+
+    // Utility: update room users and notify all connections
+    updateRoomUsers(room) {
+        const users = Array.from(this.roomUsers.get(room)?.values() || []);
+        this.broadcast(room, 'users:update', users);
+        this.broadcastTeams(room);
+    }
+
+    // Utility: broadcast team totals and members (team mode only)
+    broadcastTeams(room) {
+        if (!this.roomUsers.has(room)) return;
+
+        const teams = this.getTeams(room);
+        if (teams.length === 0) return;
+
+        const teamPoints = this.roomGames.get(room)?.teamPoints || new Map();
+        this.broadcast(room, 'teams:update', { teams: buildTeamScores(teams, teamPoints, this.getPlayers(room)) });
+    }
+
+    // Utility: initialize game for room
+    initializeGame(room) {
+        if (!this.roomGames.has(room)) {
+            this.roomGames.set(room, {
+                currentDrawer: null,
+                currentWord: null,
+                gameStarted: false,
+                gameOver: false,
+                round: 0,
+                totalRounds: this.getRoomSettings(room).rounds,
+                drawnThisRound: new Set(),
+                pendingRoles: new Map(),
+                teamPoints: new Map(),
+                lastDrawerTeam: null,
+                stats: new Map(),
+                turnStartTime: null,
+                timerEndTime: null
+            });
+        }
+        return this.roomGames.get(room);
+    }
+
+    // Utility: drawing time left in the room's turn (from timerEndTime, or the paused countdown)
+    getRemainingMs(room) {
+        const game = this.roomGames.get(room);
+        if (game?.timerEndTime) return Math.max(0, game.timerEndTime - Date.now());
+        return (this.roomTurnMachines.get(room)?.getRemaining() || 0) * 1000;
+    }
+
+    // Utility: give the drawer their reward for the turn, based on how many players got the word
+    awardDrawer(room, game) {
+        const drawer = this.roomUsers.get(room)?.get(game.currentDrawer);
+        if (!drawer) return;
+
+        // Players who could have guessed: everyone but the drawer who's still here or already got it
+        const correctGuessers = this.roomCorrectGuessers.get(room) || new Set();
+        const guesserCount = this.getPlayers(room)
+            .filter(user => this.canGuess(room, game, user) && (user.connected || correctGuessers.has(user.id))).length;
+
+        const { points, breakdown } = getScoringStrategy(this.getRoomSettings(room).scoring).scoreDrawer({
+            correctCount: correctGuessers.size,
+            guesserCount: guesserCount,
+            multiplier: getDifficultyMultiplier(game.currentDifficulty)
+        });
+
+        if (breakdown) {
+            game.turnBreakdowns.set(drawer.id, breakdown);
+        }
+        if (points > 0) {
+            this.addPoints(game, drawer, points);
+            game.turnPoints.set(drawer.id, points);
+            this.updateRoomUsers(room);
+        }
+    }
+
+    // Utility: broadcast the end-of-turn results (word, points gained this turn with their breakdown, reason)
+    emitTurnEnd(room, reason) {
+        const game = this.roomGames.get(room);
+        if (!game) return;
+
+        if (game.currentWord) {
+            this.awardDrawer(room, game);
+        }
+
+        const users = this.getPlayers(room);
+        const drawer = this.roomUsers.get(room)?.get(game.currentDrawer) || { id: game.currentDrawer };
+
+        this.broadcast(room, 'turn:end', {
+            word: game.currentWord,
+            drawer: drawer,
+            reason: reason,
+            scores: users.map(user => ({
+                id: user.id,
+                userName: user.userName,
+                points: game.turnPoints?.get(user.id) || 0,
+                total: user.points || 0,
+                breakdown: game.turnBreakdowns?.get(user.id) || null
+            }))
+        });
+
+        // Keep the finished drawing for the gallery (only turns where a word was chosen)
+        if (game.currentWord) {
+            this.gallery.addTurn(room, {
+                entries: this.getStrokeLog(room).snapshot().entries,
+                word: game.currentWord,
+                drawer: { id: drawer.id, userName: drawer.userName },
+                guessers: Array.from(this.roomCorrectGuessers.get(room) || []).map(id => {
+                    const user = this.roomUsers.get(room)?.get(id);
+                    return { id, userName: user?.userName };
+                }),
+                round: game.round
+            });
+        }
+
+        console.log(`🏁 Turn ended in room ${room} (${reason}). Word: "${game.currentWord}"`);
+    }
+
+    // Utility: get (or create) the turn state machine that drives the room's timers
+    getTurnMachine(room) {
+        if (this.roomTurnMachines.has(room)) {
+            return this.roomTurnMachines.get(room);
+        }
+
+        const machine = new TurnStateMachine({ choosingSeconds: WORD_CHOICE_SECONDS });
+
+        machine.on('phase', ({ phase, duration, endsAt }) => {
+            const game = this.roomGames.get(room);
+            if (game) {
+                game.timerEndTime = phase === PHASES.DRAWING ? endsAt : null;
+            }
+            this.broadcast(room, 'turn:phase', { phase, duration, endsAt });
+        });
+
+        machine.on('tick', ({ remaining, total }) => {
+            this.broadcast(room, 'timer:update', {
+                remaining: remaining,
+                total: total
+            });
+
+            // Reveal hint letters to guessers as the countdown passes each reveal point
+            const game = this.roomGames.get(room);
+            if (remaining > 0 && game?.currentWord &&
+                revealForCountdown(game.currentWord, game.revealedLetters, remaining, total, HINT_REVEAL_POINTS)) {
+                this.broadcastToGuessers(room, 'word:hint', buildHint(game.currentWord, game.revealedLetters));
+            }
+        });
+
+        // Pick a word for the drawer if they don't choose in time
+        machine.on('choose:timeout', () => {
+            const game = this.roomGames.get(room);
+            this.selectWord(room, Math.floor(Math.random() * (game?.wordOptions?.length || 0)));
+        });
+
+        // The countdown stops while the drawer is away and picks up again when they're back
+        machine.on('pause', ({ phase, remaining, reason }) => {
+            const game = this.roomGames.get(room);
+            if (game) {
+                game.timerEndTime = null;
+            }
+            this.broadcast(room, 'turn:paused', { phase, remaining, reason });
+        });
+
+        machine.on('resume', ({ phase, remaining, endsAt, reason }) => {
+            const game = this.roomGames.get(room);
+            if (game) {
+                game.timerEndTime = phase === PHASES.DRAWING ? endsAt : null;
+            }
+            this.broadcast(room, 'turn:resumed', { phase, remaining, endsAt, reason });
+        });
+
+        machine.on('turn:end', (reason) => this.emitTurnEnd(room, reason));
+        machine.on('next', () => this.startNewTurn(room));
+
+        this.roomTurnMachines.set(room, machine);
+        return machine;
+    }
+
+    // Utility: end the current turn early (or on time up) and start the reveal
+    endTurn(room, reason) {
+        return this.roomTurnMachines.get(room)?.endTurn(reason);
+    }
+
+    // Utility: end the turn once every guesser has found the word
+    checkAllGuessed(room) {
+        const game = this.roomGames.get(room);
+        const users = this.roomUsers.get(room);
+        if (!game?.currentWord || !users) return;
+
+        // Disconnected players aren't waited for
+        const correctGuessers = this.roomCorrectGuessers.get(room) || new Set();
+        const guessers = this.getConnectedPlayers(room).filter(user => this.canGuess(room, game, user)).map(user => user.id);
+        if (guessers.length > 0 && guessers.every(id => correctGuessers.has(id))) {
+            this.endTurn(room, END_REASONS.ALL_GUESSED);
+        }
+    }
+
+    // Utility: pick the next drawer in join order who hasn't drawn this round
+    pickNextDrawer(room, users, game) {
+        // Initialize turn order if not exists (order of first joining, including players holding a seat)
+        if (!this.roomTurnOrder.has(room)) {
+            this.roomTurnOrder.set(room, this.getPlayers(room).map(user => user.id));
+            this.roomTurnIndex.set(room, 0);
+        }
+
+        const turnOrder = this.roomTurnOrder.get(room);
+        let currentIndex = this.roomTurnIndex.get(room) || 0;
+
+        // In team mode teams take turns: the next team with someone left to draw, in turn order within the team
+        const teams = this.getTeams(room);
+        if (teams.length > 0) {
+            const candidates = [];
+            for (let offset = 0; offset < turnOrder.length; offset++) {
+                const userId = turnOrder[(currentIndex + offset) % turnOrder.length];
+                const user = users.find(u => u.id === userId && !game.drawnThisRound.has(u.id));
+                if (user) candidates.push(user);
+            }
+            const drawer = pickTeamDrawer(candidates, teams, game.lastDrawerTeam);
+            if (drawer) {
+                this.roomTurnIndex.set(room, (turnOrder.indexOf(drawer.id) + 1) % turnOrder.length);
+                return drawer;
+            }
+        }
+
+        // Find the next valid user (still connected, hasn't drawn this round)
+        for (let attempts = 0; attempts < turnOrder.length; attempts++) {
+            const userId = turnOrder[currentIndex];
+            const user = users.find(u => u.id === userId && !game.drawnThisRound.has(u.id));
+            if (user) {
+                // Found valid drawer, update index for next turn
+                this.roomTurnIndex.set(room, (currentIndex + 1) % turnOrder.length);
+                return user;
+            }
+
+            // User left or already drew this round, skip them
+            currentIndex = (currentIndex + 1) % turnOrder.length;
+        }
+
+        // Fallback to first user who hasn't drawn this round if no valid drawer found
+        this.roomTurnIndex.set(room, 0);
+        return users.find(u => !game.drawnThisRound.has(u.id));
+    }
+
+    // Utility: are there enough connected players for the game to go on?
+    hasEnoughPlayers(room) {
+        return this.getConnectedPlayers(room).length >= MIN_PLAYERS;
+    }
+
+    // Utility: why a game is waiting, for 'game:paused'
+    getWaitingInfo(room) {
+        return { reason: END_REASONS.NOT_ENOUGH_PLAYERS, players: this.getConnectedPlayers(room).length, needed: MIN_PLAYERS };
+    }
+
+    // Utility: hold a running game between turns until enough players are back
+    pauseGame(room) {
+        const game = this.roomGames.get(room);
+        this.roomTurnMachines.get(room)?.stop();
+        if (!game || game.waitingForPlayers) return;
+
+        game.waitingForPlayers = true;
+        game.currentDrawer = null;
+        game.currentWord = null;
+        game.wordOptions = null;
+        game.timerEndTime = null;
+
+        this.broadcast(room, 'game:paused', this.getWaitingInfo(room));
+        console.log(`⏸️ Game in room ${room} is waiting for players`);
+    }
+
+    // Utility: carry on with a waiting game once enough players are here. Returns true if it did.
+    resumeGame(room) {
+        const game = this.roomGames.get(room);
+        if (!game?.gameStarted || !game.waitingForPlayers || !this.hasEnoughPlayers(room)) return false;
+
+        game.waitingForPlayers = false;
+        this.broadcast(room, 'game:resumed', { players: this.getConnectedPlayers(room).length });
+        console.log(`▶️ Game in room ${room} resumed`);
+
+        this.startNewTurn(room);
+        return true;
+    }
+
+    // Utility: start a new turn by picking next drawer in order (only connected players draw; the game
+    // waits while there are too few of them)
+    startNewTurn(room) {
+        if (!this.hasEnoughPlayers(room)) {
+            this.pauseGame(room);
+            return;
+        }
+
+        let users = this.getConnectedPlayers(room);
+        const game = this.initializeGame(room);
+
+        // Once everyone here has drawn this round, move to the next round or end the game
+        if (users.every(user => game.drawnThisRound.has(user.id))) {
+            if (game.round >= game.totalRounds) {
+                this.endGame(room);
+                return;
+            }
+            this.startRound(room, game.round + 1);
+
+            // Role switches made during the last round may have changed who's playing
+            if (!this.hasEnoughPlayers(room)) {
+                this.pauseGame(room);
+                return;
+            }
+            users = this.getConnectedPlayers(room);
+        }
+
+        const nextDrawer = this.pickNextDrawer(room, users, game);
+
+        if (!this.roomUsedWords.has(room)) {
+            this.roomUsedWords.set(room, new Set());
+        }
+
+        game.currentDrawer = nextDrawer.id;
+        game.lastDrawerTeam = nextDrawer.team;
+        game.currentWord = null;
+        game.currentAliases = [];
+        game.currentDifficulty = null;
+        game.wordOptions = pickWordOptions(this.roomUsedWords.get(room), getWordOptionsConfig(this.getRoomSettings(room)));
+        game.revealedLetters = new Set();
+        game.turnPoints = new Map();
+        game.turnBreakdowns = new Map();
+        game.gameStarted = true;
+        game.turnStartTime = Date.now();
+        game.drawnThisRound.add(nextDrawer.id);
+        recordTurnDrawn(game.stats, nextDrawer.id);
+
+        // Reset correct guessers and the canvas for new turn
+        this.roomCorrectGuessers.set(room, new Set());
+        this.getStrokeLog(room).reset();
+
+        // Emit turn start event to all users in room
+        this.broadcast(room, 'turn:start', {
+            drawer: nextDrawer,
+            turnStartTime: game.turnStartTime,
+            round: game.round,
+            totalRounds: game.totalRounds
+        });
+
+        // Drawer has until the choosing phase ends to pick a word
+        this.getTurnMachine(room).startChoosing();
+
+        // Offer the drawer their word candidates
+        this.send(nextDrawer.id, 'word:options', {
+            options: game.wordOptions,
+            timeout: WORD_CHOICE_SECONDS
+        });
+
+        console.log(`🎨 New turn started in room ${room}. Drawer: ${nextDrawer.userName} (orderly turn)`);
+    }
+
+    // Utility: begin a round (every player in the turn order draws once per round)
+    startRound(room, round) {
+        const game = this.initializeGame(room);
+        game.round = round;
+        game.drawnThisRound = new Set();
+        this.applyPendingRoles(room, game);
+
+        this.broadcast(room, 'round:start', {
+            round: game.round,
+            totalRounds: game.totalRounds
+        });
+
+        console.log(`🔁 Round ${game.round}/${game.totalRounds} started in room ${room}`);
+    }
+
+    // Utility: start a game from the first round; after a finished game this is a rematch
+    startGame(room) {
+        const game = this.initializeGame(room);
+
+        // Rematch: reset points and rebuild the turn order from whoever is here now
+        if (game.gameOver) {
+            this.roomUsers.get(room)?.forEach(user => {
+                user.points = 0;
+            });
+            this.roomTurnOrder.delete(room);
+            this.roomTurnIndex.delete(room);
+            this.updateRoomUsers(room);
+        }
+
+        game.gameStarted = true;
+        game.gameOver = false;
+        game.waitingForPlayers = false;
+        game.totalRounds = this.getRoomSettings(room).rounds;
+        game.stats = new Map();
+        game.teamPoints = new Map();
+        game.lastDrawerTeam = null;
+        this.gallery.startGame(room);
+        this.recorder.start(room, { rounds: game.totalRounds, settings: this.getRoomSettings(room), listed: this.isListedRoom(room) });
+
+        this.startRound(room, 1);
+        this.startNewTurn(room);
+    }
+
+    // Utility: finish the game and announce the final standings
+    endGame(room) {
+        const game = this.roomGames.get(room);
+        if (!game) return;
+
+        this.roomTurnMachines.get(room)?.stop();
+        this.gallery.expireLater(room);
+
+        game.gameStarted = false;
+        game.gameOver = true;
+        game.currentDrawer = null;
+        game.currentWord = null;
+        game.wordOptions = null;
+
+        const standings = rankPlayers(this.getPlayers(room), game.stats);
+        const teams = this.getTeams(room);
+        this.broadcast(room, 'game:over', {
+            podium: buildPodium(standings),
+            standings: standings,
+            teamStandings: rankTeams(buildTeamScores(teams, game.teamPoints, this.getPlayers(room))),
+            rounds: game.totalRounds
+        });
+
+        console.log(`🏆 Game over in room ${room}. Winner: ${standings[0]?.userName}`);
+        this.recorder.stop(room);
+
+        // Role switches waiting for the next round happen now
+        this.applyPendingRoles(room, game);
+    }
+
+    // Utility: lock in one of the offered words for the current drawer
+    selectWord(room, index) {
+        const game = this.roomGames.get(room);
+        if (!game || game.currentWord || !game.wordOptions) return;
+        if (this.roomTurnMachines.get(room)?.phase !== PHASES.CHOOSING) return;
+
+        const option = game.wordOptions[index];
+        if (!option) return;
+
+        game.currentWord = option.word;
+        game.currentAliases = getWordAliases(option.word, this.getRoomSettings(room).language);
+        game.currentDifficulty = option.difficulty;
+        game.revealedLetters = new Set();
+        game.drawingStartTime = Date.now();
+        this.roomUsedWords.get(room)?.add(option.word);
+
+        const drawer = this.roomUsers.get(room)?.get(game.currentDrawer);
+
+        // Only the drawer gets the real word; guessers get the masked pattern
+        const hint = buildHint(option.word, game.revealedLetters);
+        this.send(game.currentDrawer, 'word:selected', {
+            word: option.word,
+            ...hint,
+            difficulty: option.difficulty,
+            drawer: drawer
+        });
+        this.broadcast(room, 'word:selected', {
+            ...hint,
+            difficulty: option.difficulty,
+            drawer: drawer
+        }, { except: [game.currentDrawer] });
+
+        // Start drawing phase timer when word is selected
+        this.getTurnMachine(room).startDrawing(this.getRoomSettings(room).turnDuration);
+
+        console.log(`📝 Word selected in room ${room}: "${option.word}" by ${drawer?.userName}`);
+    }
+
+    // Utility: turn a connection away with an error and close it
+    rejectJoin(connection, room, code, message) {
+        this.deliver(connection, 'error', { code, message }, { room });
+        connection.close();
+        console.log(`⛔ User ${connection.userName || connection.id} rejected from room ${room}: ${code}`);
+        return null;
+    }
+
+    // Utility: is this session token a player holding a seat in the room?
+    isReturning(room, sessionToken) {
+        const userId = this.sessions.resolve(sessionToken, room);
+        return Boolean(userId && this.roomUsers.get(room)?.has(userId));
+    }
+
+    // Check whether a connection may enter a room: { sessionToken, role }, leaving out its password (see
+    // checkPassword). Returns null if it may, or the { code, message } error to refuse it with. Returning players
+    // only need their session, and spectators don't take a seat so they can watch a full room.
+    checkAccess(room, { sessionToken, role } = {}) {
+        const invalidRoom = checkRoomName(room);
+        if (invalidRoom) {
+            return { code: 'INVALID_ROOM', message: invalidRoom };
+        }
+        if (sessionToken && this.roomBans.get(room)?.has(sessionToken)) {
+            return { code: 'BANNED', message: `You are banned from room ${room}` };
+        }
+        if (this.isReturning(room, sessionToken)) return null;
+
+        if (role !== ROLES.SPECTATOR && this.isFull(room)) {
+            return { code: 'ROOM_FULL', message: `Room ${room} is full (${this.getRoomSettings(room).maxPlayers} players max)` };
+        }
+        if (this.lockedRooms.has(room)) {
+            return { code: 'ROOM_LOCKED', message: `Room ${room} is locked by its host` };
+        }
+        return null;
+    }
+
+    // Check the password a connection presents: { sessionToken, password, address }. Resolves to null if the room
+    // takes it (or returning players, who don't need one), or the { code, message } error to refuse it with.
+    async checkPassword(room, { sessionToken, password, address } = {}) {
+        if (this.isReturning(room, sessionToken)) return null;
+        return this.rooms.checkPassword(room, password, address);
+    }
+
+    // Both checks a connection must pass to enter a room (see checkAccess and checkPassword)
+    async checkEntry(room, options) {
+        return this.checkAccess(room, options) || this.checkPassword(room, options);
+    }
+
+    // Utility: no seat left for another player (seats held for disconnected players count)
+    isFull(room) {
+        return this.getPlayers(room).length >= this.getRoomSettings(room).maxPlayers;
+    }
+
+    // A lobby summary of a room's state (without creating anything for rooms nobody has joined yet)
+    getRoomSummary(room) {
+        const game = this.roomGames.get(room);
+        const settings = this.roomSettings.get(room) || this.rooms.getInitialSettings(room) || createSettings();
+        return {
+            players: this.getPlayers(room).length,
+            spectators: (this.roomUsers.get(room)?.size || 0) - this.getPlayers(room).length,
+            maxPlayers: settings.maxPlayers,
+            phase: this.roomTurnMachines.get(room)?.phase || PHASES.WAITING,
+            gameStarted: Boolean(game?.gameStarted),
+            round: game?.round || 0,
+            totalRounds: game?.totalRounds || settings.rounds,
+            locked: this.lockedRooms.has(room),
+            settings: settings
+        };
+    }
+
+    // Add a connection to its room. `connection` is { id, room, userName, role, sessionToken, password, address,
+    // transport, send, close }. A session token issued for this room reconnects its player; anyone else joins as a
+    // new player (or a spectator, if `role` asks for it) whose user ID is the connection ID. Returns the user ID, or
+    // null if the join is refused (the connection is told why and closed; see checkEntry). A connection forwarded to
+    // the worker owning the room, or waiting for its password to be checked, returns its connection ID; it's told
+    // and closed later if it's refused.
+    join(connection) {
+        const room = connection.room || 'default';
+
+        // Another worker runs this room: it decides on the join and runs the connection from here on
+        if (!this.ownsRoom(room)) {
+            return this.cluster.forwardJoin({ ...connection, room });
+        }
+
+        const denied = this.checkAccess(room, connection);
+        if (denied) {
+            return this.rejectJoin(connection, room, denied.code, denied.message);
+        }
+        if (!this.rooms.needsPassword(room) || this.isReturning(room, connection.sessionToken)) {
+            return this.admit({ ...connection, room });
+        }
+
+        // Hashing the password takes a while: events the connection sends meanwhile wait for the answer
+        this.pendingJoins.set(connection.id, []);
+        this.checkPassword(room, connection).then(passwordDenied => {
+            const queued = this.pendingJoins.get(connection.id);
+            this.pendingJoins.delete(connection.id);
+            if (!queued) return; // Closed while waiting
+
+            // The room may have filled up or been locked in the meantime
+            const refused = passwordDenied || this.checkAccess(room, connection);
+            if (refused) {
+                this.rejectJoin(connection, room, refused.code, refused.message);
+                return;
+            }
+            this.admit({ ...connection, room });
+            queued.forEach(([event, payload]) => this.handle(connection.id, event, payload));
+        });
+        return connection.id;
+    }
+
+    // Utility: seat a connection that may enter its room (see join). Returns the user ID.
+    admit(connection) {
+        const { room } = connection;
+
+        // Returning player: take their seat back (even if the room was locked meanwhile)
+        const returningUserId = this.sessions.resolve(connection.sessionToken, room);
+        if (returningUserId && this.roomUsers.get(room)?.has(returningUserId)) {
+            this.reconnect(returningUserId, { ...connection, room });
+            return returningUserId;
+        }
+
+        const settings = this.getRoomSettings(room);
+        const role = connection.role === ROLES.SPECTATOR ? ROLES.SPECTATOR : ROLES.PLAYER;
+        const userInfo = this.getUserInfo(connection.id, cleanUserName(connection.userName), role);
+
+        // Initialize room users if not exists
+        if (!this.roomUsers.has(room)) {
+            this.roomUsers.set(room, new Map());
+        }
+
+        // Add user to room
+        this.rooms.claim(room);
+        this.connections.set(connection.id, {
+            ...connection,
+            userId: userInfo.id,
+            room,
+            stream: getStreamFormat(connection.stream, connection),
+            limiter: new RateLimiter()
+        });
+        this.userConnections.set(userInfo.id, connection.id);
+        this.roomUsers.get(room).set(userInfo.id, userInfo);
+        this.assignTeams(room);
+
+        // If a player joins after game has started, add them to turn order
+        if (role === ROLES.PLAYER && this.roomTurnOrder.has(room)) {
+            this.roomTurnOrder.get(room).push(userInfo.id);
+        }
+
+        console.log(`🔗 ${role === ROLES.SPECTATOR ? 'Spectator' : 'User'} ${userInfo.userName} (${userInfo.id}) connected to room: ${room} via ${connection.transport}`);
+
+        // Give the user the token to present when they reconnect
+        this.send(userInfo.id, 'session', {
+            token: this.sessions.issue(userInfo.id, room),
+            userId: userInfo.id,
+            resumed: false
+        });
+
+        // Send current users list and room settings to the new user
+        this.send(userInfo.id, 'users:update', Array.from(this.roomUsers.get(room).values()));
+        this.send(userInfo.id, 'room:settings', settings);
+
+        // Send what has been drawn so far so the new user can rebuild the canvas
+        this.send(userInfo.id, 'canvas:sync', this.getStrokeLog(room).snapshot());
+
+        // Notify others about new user
+        this.broadcast(room, 'user:joined', userInfo, { except: [userInfo.id] });
+        this.broadcastTeams(room);
+
+        // The first player in a room hosts it; everyone else is told who does
+        if (!this.roomHosts.has(room)) {
+            this.setHost(room, userInfo.id, HOST_REASONS.CREATED);
+        } else {
+            this.send(userInfo.id, 'room:host', { host: this.roomUsers.get(room).get(this.roomHosts.get(room)) });
+        }
+
+        // A game waiting for players may be able to go on; otherwise catch the new user up on the turn
+        if (!this.resumeGame(room)) {
+            this.syncTurn(room, userInfo.id);
+        }
+        return userInfo.id;
+    }
+
+    // Utility: attach a new connection to a returning player. A connection they still have open is
+    // closed and replaced (e.g. a page refresh the server hasn't noticed yet).
+    reconnect(userId, connection) {
+        const { room } = connection;
+        const user = this.roomUsers.get(room).get(userId);
+
+        const previous = this.getConnection(userId);
+        if (previous) {
+            this.connections.delete(previous.id);
+            previous.close();
+        }
+        this.sessions.release(userId);
+
+        this.connections.set(connection.id, {
+            ...connection,
+            userId,
+            stream: getStreamFormat(connection.stream, connection),
+            limiter: new RateLimiter()
+        });
+        this.userConnections.set(userId, connection.id);
+        user.connected = true;
+
+        console.log(`🔁 User ${user.userName} (${userId}) reconnected to room: ${room} via ${connection.transport}`);
+
+        this.send(userId, 'session', { token: this.sessions.getToken(userId), userId: userId, resumed: true });
+        this.send(userId, 'room:settings', this.getRoomSettings(room));
+        this.send(userId, 'room:host', { host: this.roomUsers.get(room).get(this.roomHosts.get(room)) });
+        if (this.lockedRooms.has(room)) {
+            this.send(userId, 'room:locked', { locked: true });
+        }
+        this.send(userId, 'canvas:sync', this.getStrokeLog(room).snapshot());
+
+        this.broadcast(room, 'user:reconnected', { id: userId }, { except: [userId] });
+        this.updateRoomUsers(room);
+
+        // The drawer's turn picks up where it stopped; a game waiting for players may be able to go on
+        const game = this.roomGames.get(room);
+        if (game?.gameStarted && game.currentDrawer === userId) {
+            this.roomTurnMachines.get(room)?.resume(PAUSE_REASONS.DRAWER_RECONNECTED);
+        } else if (this.resumeGame(room)) {
+            return;
+        }
+
+        this.syncTurn(room, userId);
+    }
+
+    // Utility: bring a returning player up to date on the turn in progress
+    syncTurn(room, userId) {
+        const game = this.roomGames.get(room);
+        const machine = this.roomTurnMachines.get(room);
+        if (game?.gameStarted && game.waitingForPlayers) {
+            this.send(userId, 'game:paused', this.getWaitingInfo(room));
+            return;
+        }
+        if (!game?.gameStarted || !game.currentDrawer || !machine?.isTurnActive()) return;
+
+        const drawer = this.roomUsers.get(room).get(game.currentDrawer);
+        this.send(userId, 'turn:start', {
+            drawer: drawer,
+            turnStartTime: game.turnStartTime,
+            round: game.round,
+            totalRounds: game.totalRounds
+        });
+
+        if (!game.currentWord) {
+            // Still choosing: the drawer gets their options again
+            if (userId === game.currentDrawer) {
+                this.send(userId, 'word:options', { options: game.wordOptions, timeout: machine.getRemaining() });
+            }
+        } else {
+            // The drawer and correct guessers see the word; everyone else the hint so far
+            const knowsWord = userId === game.currentDrawer || this.roomCorrectGuessers.get(room)?.has(userId);
+            this.send(userId, 'word:selected', {
+                ...(knowsWord ? { word: game.currentWord } : {}),
+                ...buildHint(game.currentWord, game.revealedLetters),
+                difficulty: game.currentDifficulty,
+                drawer: drawer
+            });
+        }
+
+        if (machine.isPaused()) {
+            this.send(userId, 'turn:paused', {
+                phase: machine.phase,
+                remaining: machine.getRemaining(),
+                reason: machine.paused.reason
+            });
+        } else {
+            this.send(userId, 'turn:phase', { phase: machine.phase, duration: machine.getRemaining(), endsAt: machine.endsAt });
+        }
+    }
+
+    // A connection closed (disconnect or stream end). Its player keeps their seat, points and turn position
+    // for the reconnect grace period; if the drawer drops, the turn's countdown pauses until they're back.
+    leave(connectionId) {
+        if (this.cluster?.forwardLeave(connectionId)) return;
+        if (this.pendingJoins.delete(connectionId)) return; // Never got in
+
+        const connection = this.connections.get(connectionId);
+        if (!connection) return; // Unknown, or already replaced by a newer connection
+
+        const { room, userId } = connection;
+        this.connections.delete(connectionId);
+        this.userConnections.delete(userId);
+
+        const user = this.roomUsers.get(room)?.get(userId);
+        if (!user) return;
+
+        user.connected = false;
+        const reconnectBy = this.sessions.hold(userId, () => this.removeUser(room, userId));
+
+        const game = this.roomGames.get(room);
+        if (game?.gameStarted && game.currentDrawer === userId) {
+            this.roomTurnMachines.get(room)?.pause(PAUSE_REASONS.DRAWER_DISCONNECTED);
+        }
+
+        this.broadcast(room, 'user:disconnected', { id: userId, reconnectBy: reconnectBy });
+        this.updateRoomUsers(room);
+
+        // The remaining guessers may all have the word already
+        this.checkAllGuessed(room);
+
+        console.log(`🔌 User ${user.userName} disconnected from room: ${room} (seat held until ${new Date(reconnectBy).toISOString()})`);
+    }
+
+    // Utility: remove a player for good once their reconnect grace period runs out
+    removeUser(room, userId) {
+        const users = this.roomUsers.get(room);
+        if (!users?.has(userId)) return;
+
+        this.sessions.revoke(userId);
+
+        // End the turn with a reveal if the drawer never came back
+        const game = this.roomGames.get(room);
+        if (game?.gameStarted && game.currentDrawer === userId) {
+            this.endTurn(room, END_REASONS.DRAWER_LEFT);
+        }
+
+        const user = users.get(userId);
+        users.delete(userId);
+        this.roomCursors.get(room)?.pending.delete(userId);
+
+        // Tear down an empty room: its timers and state go (its gallery is kept for the retention time)
+        if (users.size === 0) {
+            this.cleanupRoom(room);
+            console.log(`🔗 User ${user?.userName || userId} left room: ${room}`);
+            return;
+        }
+
+        // Too few players to go on: end the turn now; the game waits for more players before the next one
+        if (game?.gameStarted && !this.hasEnoughPlayers(room)) {
+            this.endTurn(room, END_REASONS.NOT_ENOUGH_PLAYERS);
+        }
+
+        // Notify others about user leaving
+        this.broadcast(room, 'user:left', { id: userId });
+        this.updateRoomUsers(room);
+
+        // Someone else takes over if the host left
+        if (this.isHost(room, userId)) {
+            this.promoteHost(room);
+        }
+
+        // The remaining guessers may all have the word already
+        this.checkAllGuessed(room);
+
+        console.log(`🔗 User ${user?.userName || userId} left room: ${room}`);
+    }
+
+    // Utility: drop everything kept for a room once its last player leaves
+    cleanupRoom(room) {
+        const machine = this.roomTurnMachines.get(room);
+        machine?.stop();
+        machine?.removeAllListeners();
+        clearInterval(this.roomCursors.get(room)?.timer);
+        this.recorder.stop(room);
+        this.gallery.expireLater(room);
+
+        this.roomUsers.delete(room);
+        this.roomGames.delete(room);
+        this.roomCorrectGuessers.delete(room);
+        this.roomTurnMachines.delete(room);
+        this.roomTurnOrder.delete(room);
+        this.roomTurnIndex.delete(room);
+        this.roomUsedWords.delete(room);
+        this.roomSettings.delete(room);
+        this.roomStrokeLogs.delete(room);
+        this.roomCursors.delete(room);
+        this.roomHosts.delete(room);
+        this.lockedRooms.delete(room);
+        this.roomBans.delete(room);
+        this.rooms.remove(room);
+        this.unsavedRooms.delete(room);
+        this.storage.remove(room).catch(error => console.error(`Error removing saved room ${room}:`, error.message));
+
+        console.log(`🧹 Room ${room} is empty and was cleaned up`);
+    }
+
+    // Utility: save a changed room within `delay` ms (changes made in the meantime are saved together)
+    scheduleSave(room, delay = SAVE_DELAY_MS) {
+        if (!this.roomUsers.has(room)) return;
+
+        this.unsavedRooms.add(room);
+        const due = Date.now() + delay;
+        if (this.saveTimer && this.saveDue <= due) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveDue = due;
+        this.saveTimer = setTimeout(() => this.saveRooms(), delay);
+        this.saveTimer.unref?.();
+    }
+
+    // Save every room changed since it was last saved (also called on shutdown). Resolves once they're written.
+    saveRooms() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const saves = Array.from(this.unsavedRooms, async room => {
+            try {
+                await this.storage.save(room, this.snapshotRoom(room));
+            } catch (error) {
+                console.error(`Error saving room ${room}:`, error.message);
+            }
+        });
+        this.unsavedRooms.clear();
+        return Promise.all(saves);
+    }
+
+    // Utility: everything needed to bring a room back after a restart
+    snapshotRoom(room) {
+        const users = Array.from(this.roomUsers.get(room).values());
+        return {
+            room: room,
+            savedAt: Date.now(),
+            users: users,
+            tokens: new Map(users.map(user => [user.id, this.sessions.getToken(user.id)])),
+            host: this.roomHosts.get(room) || null,
+            locked: this.lockedRooms.has(room),
+            bans: this.roomBans.get(room) || new Set(),
+            settings: this.getRoomSettings(room),
+            registration: this.rooms.getState(room),
+            turnOrder: this.roomTurnOrder.get(room) || null,
+            turnIndex: this.roomTurnIndex.get(room) || 0,
+            usedWords: this.roomUsedWords.get(room) || new Set(),
+            correctGuessers: this.roomCorrectGuessers.get(room) || new Set(),
+            game: this.roomGames.get(room) || null,
+            turn: this.roomTurnMachines.get(room)?.getState() || null,
+            canvas: this.roomStrokeLogs.get(room)?.getState() || null
+        };
+    }
+
+    // Bring back the rooms saved before the last shutdown. Everyone starts out disconnected with the reconnect
+    // grace period to come back (presenting their session token lands them in their seat). A turn being chosen or
+    // drawn waits for its drawer like after any drawer disconnect; a reveal or intermission carries on from its saved
+    // end time. A cluster worker restores only the rooms it owns. Returns the number restored.
+    rehydrate() {
+        let restored = 0;
+        this.storage.load().filter(snapshot => this.ownsRoom(snapshot.room)).forEach(snapshot => {
+            try {
+                this.restoreRoom(snapshot);
+                restored++;
+            } catch (error) {
+                console.error(`Error restoring room ${snapshot.room}:`, error.message);
+            }
+        });
+
+        if (restored > 0) {
+            console.log(`💾 Restored ${restored} room(s) from storage`);
+        }
+        return restored;
+    }
+
+    // Utility: restore one room from its snapshot (see snapshotRoom)
+    restoreRoom(snapshot) {
+        const { room, users, game, turn } = snapshot;
+
+        this.roomUsers.set(room, new Map(users.map(user => [user.id, { ...user, connected: false }])));
+        this.roomSettings.set(room, snapshot.settings);
+        if (snapshot.registration) {
+            this.rooms.restore(snapshot.registration);
+        }
+        if (snapshot.host) {
+            this.roomHosts.set(room, snapshot.host);
+        }
+        if (snapshot.locked) {
+            this.lockedRooms.add(room);
+        }
+        if (snapshot.bans.size > 0) {
+            this.roomBans.set(room, snapshot.bans);
+        }
+        if (snapshot.turnOrder) {
+            this.roomTurnOrder.set(room, snapshot.turnOrder);
+            this.roomTurnIndex.set(room, snapshot.turnIndex);
+        }
+        this.roomUsedWords.set(room, snapshot.usedWords);
+        this.roomCorrectGuessers.set(room, snapshot.correctGuessers);
+        if (snapshot.canvas) {
+            this.getStrokeLog(room).restore(snapshot.canvas);
+        }
+
+        users.forEach(user => {
+            const token = snapshot.tokens.get(user.id);
+            if (token) {
+                this.sessions.restore(user.id, room, token);
+            }
+            this.sessions.hold(user.id, () => this.removeUser(room, user.id));
+        });
+
+        if (game) {
+            this.roomGames.set(room, game);
+
+            // A game in progress gets a fresh recording and gallery for the rest of the game
+            if (game.gameStarted) {
+                this.gallery.startGame(room);
+                this.recorder.start(room, {
+                    rounds: game.totalRounds,
+                    settings: snapshot.settings,
+                    listed: this.isListedRoom(room),
+                    resumed: true
+                });
+            }
+            if (game.gameStarted && !game.waitingForPlayers && turn) {
+                // The drawer is disconnected too: their countdown resumes when they're back, or the turn ends
+                // (DRAWER_LEFT) when their seat is given up
+                const machine = this.getTurnMachine(room);
+                machine.restore(turn);
+                machine.pause(PAUSE_REASONS.DRAWER_DISCONNECTED);
+            }
+        }
+
+        console.log(`💾 Room ${room} restored with ${users.length} user(s)${game?.gameStarted ? ` in round ${game.round}` : ''}`);
+    }
+
+    // Handle a client event from any transport
+    handle(connectionId, event, payload) {
+        if (this.cluster?.forwardEvent(connectionId, event, payload)) return;
+
+        const pending = this.pendingJoins.get(connectionId);
+        if (pending) {
+            if (pending.length < MAX_PENDING_EVENTS) pending.push([event, payload]);
+            return;
+        }
+
+        const connection = this.connections.get(connectionId);
+        const handler = HANDLERS[event];
+        if (!connection || !handler) return;
+
+        const { userId, room } = connection;
+
+        // Floods and malformed payloads are turned away before any handler sees them
+        if (!connection.limiter.take(event)) {
+            this.penalize(connection, 'RATE_LIMITED', `Too many ${event} events, slow down`);
+            return;
+        }
+        const { payload: checked, error } = validateEvent(event, payload);
+        if (error) {
+            this.penalize(connection, 'INVALID_PAYLOAD', `Invalid ${event}: ${error}`);
+            return;
+        }
+
+        this.record(room, DIRECTIONS.IN, event, checked, { from: userId });
+        this[handler](userId, room, checked);
+    }
+
+    // Utility: tell a connection what it did wrong, and disconnect it once it has done so too often.
+    // Its player keeps their seat like after any disconnect.
+    penalize(connection, code, message) {
+        if (!connection.limiter.strike()) {
+            this.sendError(connection.userId, code, message);
+            return;
+        }
+
+        this.sendError(connection.userId, 'TOO_MANY_VIOLATIONS', 'Disconnected for sending too many rejected events');
+        console.log(`🚫 Disconnecting ${connection.userId} from room ${connection.room} (${code})`);
+        this.leave(connection.id);
+        connection.close();
+    }
+
+    // Utility: relay a run of drawn points to everyone but the drawer, in each connection's stream format
+    relaySegments(room, userId, batch) {
+        const meta = { room, from: userId };
+        let segments = null;
+        let frame = null;
+
+        this.roomUsers.get(room)?.forEach((user, recipientId) => {
+            const connection = recipientId === userId ? null : this.getConnection(recipientId);
+            if (!connection) return;
+
+            if (connection.stream === STREAM_FORMATS.BINARY) {
+                frame = frame || encodeSegmentBatch(batch);
+                this.deliver(connection, 'segment:bin', frame, meta);
+            } else if (connection.stream === STREAM_FORMATS.BATCH) {
+                this.deliver(connection, 'segment:batch', batch, meta);
+            } else {
+                segments = segments || batchToSegments(batch).map(segment => ({ ...segment, strokeId: batch.strokeId }));
+                segments.forEach(segment => this.deliver(connection, 'segment', segment, meta));
+            }
+        });
+    }
+
+    // Handle drawing segment
+    handleSegment(userId, room, payload) {
+        // { x0, y0, x1, y1, color, width, dpr }
+        if (!this.canDraw(room, userId)) return;
+
+        const { segment, error } = validateSegment(payload);
+        if (error) {
+            this.sendError(userId, 'INVALID_SEGMENT', error);
+            return;
+        }
+
+        const recorded = this.getStrokeLog(room).addSegment(userId, segment);
+        const relay = { except: [userId], from: userId };
+
+        // Segments from clients without stroke markers start strokes implicitly
+        if (recorded?.started) {
+            this.broadcast(room, 'stroke:begin', { id: recorded.stroke.id, userId: userId }, relay);
+        }
+
+        // Relay to others (still relayed live once the log is full)
+        const strokeId = recorded?.stroke.id;
+        this.record(room, DIRECTIONS.OUT, 'segment', strokeId ? { ...segment, strokeId } : segment, { except: [userId] });
+        this.relaySegments(room, userId, { ...segmentToBatch(segment), strokeId });
+    }
+
+    // Handle a batch of points drawn in one go ('segment:batch', or 'segment:bin' decoded by validation)
+    handleSegmentBatch(userId, room, payload) {
+        // { points: [x0, y0, x1, y1, ...], color, width, dpr }
+        if (!this.canDraw(room, userId)) return;
+
+        const { batch, error } = validateSegmentBatch(payload);
+        if (error) {
+            this.sendError(userId, 'INVALID_SEGMENT', error);
+            return;
+        }
+
+        // The log keeps the batch as its segments, so canvas sync and undo work as for single segments
+        const strokeLog = this.getStrokeLog(room);
+        const results = batchToSegments(batch).map(segment => strokeLog.addSegment(userId, segment));
+        const recorded = results.find(Boolean);
+        const relay = { except: [userId], from: userId };
+
+        if (recorded?.started) {
+            this.broadcast(room, 'stroke:begin', { id: recorded.stroke.id, userId: userId }, relay);
+        }
+
+        const relayed = recorded ? { ...batch, strokeId: recorded.stroke.id } : batch;
+        this.record(room, DIRECTIONS.OUT, 'segment:batch', relayed, { except: [userId] });
+        this.relaySegments(room, userId, relayed);
+    }
+
+    // Handle a versioned drawing operation (brush, eraser, fill bucket, line, rect, ellipse)
+    handleDrawOp(userId, room, payload) {
+        if (!this.canDraw(room, userId)) return;
+
+        const { op, error } = validateDrawingOp(payload);
+        if (error) {
+            this.sendError(userId, 'INVALID_DRAWING_OP', error);
+            return;
+        }
+
+        const recorded = this.getStrokeLog(room).addOp(userId, op);
+        const relay = { except: [userId], from: userId };
+
+        // Brush and eraser moves open strokes like segments; fills and shapes carry their stroke ID alone
+        if (recorded?.started && isContinuousOp(op)) {
+            this.broadcast(room, 'stroke:begin', { id: recorded.stroke.id, userId: userId }, relay);
+        }
+
+        this.broadcast(room, 'draw:op', recorded ? { ...op, strokeId: recorded.stroke.id } : op, relay);
+    }
+
+    // Handle stroke begin; the server assigns its ID and tells the whole room (including the drawer)
+    handleStrokeBegin(userId, room) {
+        if (!this.canDraw(room, userId)) return;
+
+        const stroke = this.getStrokeLog(room).beginStroke(userId);
+        this.broadcast(room, 'stroke:begin', { id: stroke.id, userId: userId }, { from: userId });
+    }
+
+    // Handle stroke end
+    handleStrokeEnd(userId, room) {
+        if (!this.canDraw(room, userId)) return;
+
+        const stroke = this.getStrokeLog(room).endStroke(userId);
+        if (stroke) {
+            this.broadcast(room, 'stroke:end', { id: stroke.id }, { except: [userId], from: userId });
+        }
+    }
+
+    // Handle undo of the drawer's last stroke (everyone, including the drawer, removes it)
+    handleStrokeUndo(userId, room) {
+        if (!this.canDraw(room, userId)) return;
+
+        const stroke = this.getStrokeLog(room).undo(userId);
+        if (stroke) {
+            this.broadcast(room, 'stroke:undo', { id: stroke.id }, { from: userId });
+        }
+    }
+
+    // Handle redo of the drawer's last undone stroke
+    handleStrokeRedo(userId, room) {
+        if (!this.canDraw(room, userId)) return;
+
+        const stroke = this.getStrokeLog(room).redo(userId);
+        if (stroke) {
+            this.broadcast(room, 'stroke:redo', { stroke: toPublicStroke(stroke) }, { from: userId });
+        }
+    }
+
+    // Handle clear canvas
+    handleClear(userId, room) {
+        if (!this.canDraw(room, userId)) return;
+
+        this.getStrokeLog(room).clear();
+        this.broadcast(room, 'clear', undefined, { except: [userId], from: userId });
+    }
+
+    // Handle cursor position so others see your pointer. Positions are sent on the room's cursor tick,
+    // so a pointer moving faster than that only sends its latest position.
+    handleCursor(userId, room, pos) {
+        // { x, y }
+        if (!this.roomCursors.has(room)) {
+            this.roomCursors.set(room, { pending: new Map(), timer: null });
+        }
+        const cursors = this.roomCursors.get(room);
+        cursors.pending.set(userId, pos);
+
+        if (!cursors.timer) {
+            cursors.timer = setInterval(() => this.flushCursors(room), CURSOR_TICK_MS);
+        }
+    }
+
+    // Utility: send the pointers that moved since the last tick (the tick stops once nobody moves)
+    flushCursors(room) {
+        const cursors = this.roomCursors.get(room);
+        if (!cursors) return;
+
+        if (cursors.pending.size === 0) {
+            clearInterval(cursors.timer);
+            cursors.timer = null;
+            return;
+        }
+
+        const moved = Array.from(cursors.pending, ([id, pos]) => ({ id, ...pos }));
+        cursors.pending.clear();
+        moved.forEach(cursor => this.record(room, DIRECTIONS.OUT, 'cursor', cursor, { except: [cursor.id] }));
+
+        // Batching clients get every pointer in one event; others one event per pointer
+        this.roomUsers.get(room)?.forEach((user, recipientId) => {
+            const connection = this.getConnection(recipientId);
+            const others = moved.filter(cursor => cursor.id !== recipientId);
+            if (!connection || others.length === 0) return;
+
+            if (connection.stream === STREAM_FORMATS.SEGMENTS) {
+                others.forEach(cursor => this.deliver(connection, 'cursor', cursor, { room, from: cursor.id }));
+            } else {
+                this.deliver(connection, 'cursor:batch', { cursors: others }, { room });
+            }
+        });
+    }
+
+    // Handle word choice from drawer (index into the offered options)
+    handleWordSelect(userId, room, index) {
+        const game = this.roomGames.get(room);
+        if (!game || game.currentDrawer !== userId) {
+            return; // Only current drawer can select word
+        }
+
+        if (!Number.isInteger(index)) {
+            return; // Words can only be picked from the offered options
+        }
+
+        this.selectWord(room, index);
+    }
+
+    // Handle settings change from the host (only before the game starts)
+    handleSettingsUpdate(userId, room, update) {
+        if (!this.requireHost(room, userId, 'change settings')) return;
+
+        if (this.roomGames.get(room)?.gameStarted) {
+            this.sendError(userId, 'SETTINGS_LOCKED', "Settings can't be changed once the game has started");
+            return;
+        }
+
+        const playerCount = this.getPlayers(room).length;
+        const result = validateSettings(update, this.getRoomSettings(room), { playerCount });
+        if (result.error) {
+            this.sendError(userId, 'INVALID_SETTINGS', result.error);
+            return;
+        }
+
+        const previous = this.getRoomSettings(room);
+        const teamsChanged = result.settings.teamMode !== previous.teamMode || result.settings.teams !== previous.teams;
+
+        this.roomSettings.set(room, result.settings);
+        this.broadcast(room, 'room:settings', result.settings);
+        console.log(`⚙️ Settings updated in room ${room}`);
+
+        // Turning team mode on (or changing the number of teams) shares players out again
+        if (teamsChanged) {
+            this.assignTeams(room);
+            this.updateRoomUsers(room);
+        }
+    }
+
+    // Handle game start from the host
+    handleGameStart(userId, room) {
+        const game = this.initializeGame(room);
+        if (game.gameStarted) {
+            return; // Game already started
+        }
+
+        if (!this.requireHost(room, userId, 'start the game')) return;
+
+        this.startGame(room);
+        console.log(`🎮 Game started in room ${room}`);
+    }
+
+    // Handle rematch request from the host once a game is over
+    handleRematch(userId, room) {
+        const game = this.roomGames.get(room);
+        if (!game || !game.gameOver || game.gameStarted) {
+            return; // Nothing to rematch yet
+        }
+
+        if (!this.requireHost(room, userId, 'start a rematch')) return;
+
+        this.broadcast(room, 'game:rematch', { by: this.roomUsers.get(room).get(userId) });
+        this.startGame(room);
+        console.log(`🔄 Rematch started in room ${room}`);
+    }
+
+    // Utility: find the player a host action targets, or send an error. Returns the user or null.
+    getHostTarget(userId, room, targetId) {
+        const target = typeof targetId === 'string' ? this.roomUsers.get(room)?.get(targetId) : null;
+        if (!target) {
+            this.sendError(userId, 'UNKNOWN_USER', `No player ${targetId} in room ${room}`);
+            return null;
+        }
+        if (target.id === userId) {
+            this.sendError(userId, 'INVALID_TARGET', "You can't do that to yourself");
+            return null;
+        }
+        return target;
+    }
+
+    // Utility: remove a player at the host's request, telling them why and closing their connection
+    removeByHost(room, target, by, banned) {
+        const connection = this.getConnection(target.id);
+        if (connection) {
+            this.send(target.id, 'room:kicked', { by, banned });
+            this.connections.delete(connection.id);
+            this.userConnections.delete(target.id);
+            connection.close();
+        }
+
+        this.removeUser(room, target.id);
+    }
+
+    // Handle the host removing a player (they can join again as a new player)
+    handleKick(userId, room, targetId) {
+        if (!this.requireHost(room, userId, 'kick players')) return;
+
+        const target = this.getHostTarget(userId, room, targetId);
+        if (!target) return;
+
+        const host = this.roomUsers.get(room).get(userId);
+        this.removeByHost(room, target, host, false);
+        console.log(`👢 ${target.userName} was kicked from room ${room} by ${host.userName}`);
+    }
+
+    // Handle the host removing a player and refusing their session from now on
+    handleBan(userId, room, targetId) {
+        if (!this.requireHost(room, userId, 'ban players')) return;
+
+        const target = this.getHostTarget(userId, room, targetId);
+        if (!target) return;
+
+        const token = this.sessions.getToken(target.id);
+        if (token) {
+            if (!this.roomBans.has(room)) {
+                this.roomBans.set(room, new Set());
+            }
+            this.roomBans.get(room).add(token);
+        }
+
+        const host = this.roomUsers.get(room).get(userId);
+        this.removeByHost(room, target, host, true);
+        console.log(`🚫 ${target.userName} was banned from room ${room} by ${host.userName}`);
+    }
+
+    // Handle the host handing the role to another player
+    handleHostTransfer(userId, room, targetId) {
+        if (!this.requireHost(room, userId, 'transfer the host role')) return;
+
+        const target = this.getHostTarget(userId, room, targetId);
+        if (!target) return;
+
+        this.setHost(room, target.id, HOST_REASONS.TRANSFERRED);
+    }
+
+    // Handle the host locking (true) or unlocking (false) the room against new players
+    handleLock(userId, room, locked) {
+        if (!this.requireHost(room, userId, 'lock the room')) return;
+
+        if (locked) {
+            this.lockedRooms.add(room);
+        } else {
+            this.lockedRooms.delete(room);
+        }
+
+        this.broadcast(room, 'room:locked', { locked: Boolean(locked), by: this.roomUsers.get(room).get(userId) });
+        console.log(`🔒 Room ${room} ${locked ? 'locked' : 'unlocked'}`);
+    }
+
+    // Handle the host skipping the current drawer's turn
+    handleSkip(userId, room) {
+        if (!this.requireHost(room, userId, 'skip turns')) return;
+
+        if (!this.endTurn(room, END_REASONS.SKIPPED)) {
+            this.sendError(userId, 'NO_TURN', 'There is no turn to skip');
+            return;
+        }
+        console.log(`⏭️ Turn skipped in room ${room}`);
+    }
+
+    // Handle a player switching between playing and spectating ('player' or 'spectator'). Outside a game (or
+    // while one waits for players) it happens straight away; during one it waits for the next round so the
+    // current round's turns stay fair.
+    handleRoleSwitch(userId, room, role) {
+        if (!Object.values(ROLES).includes(role)) {
+            this.sendError(userId, 'INVALID_ROLE', `Role must be one of: ${Object.values(ROLES).join(', ')}`);
+            return;
+        }
+
+        const game = this.roomGames.get(room);
+        if (!game?.gameStarted || game.waitingForPlayers) {
+            this.applyRole(room, userId, role);
+            return;
+        }
+
+        const user = this.roomUsers.get(room).get(userId);
+        if (user.role === role) {
+            game.pendingRoles.delete(userId);
+        } else {
+            game.pendingRoles.set(userId, role);
+        }
+        this.send(userId, 'role:changed', { id: userId, role: role, pending: user.role !== role });
+    }
+
+    // Utility: make a user a player or a spectator. Becoming a player needs a free seat.
+    applyRole(room, userId, role) {
+        const user = this.roomUsers.get(room)?.get(userId);
+        if (!user || user.role === role) return;
+
+        if (role === ROLES.PLAYER && this.isFull(room)) {
+            this.sendError(userId, 'ROOM_FULL', `Room ${room} is full (${this.getRoomSettings(room).maxPlayers} players max)`);
+            return;
+        }
+
+        user.role = role;
+        this.assignTeams(room);
+        const turnOrder = this.roomTurnOrder.get(room);
+        if (role === ROLES.PLAYER && turnOrder && !turnOrder.includes(userId)) {
+            turnOrder.push(userId);
+        }
+
+        console.log(`🎭 ${user.userName} is now a ${role} in room ${room}`);
+        this.broadcast(room, 'role:changed', { id: userId, role: role, pending: false });
+        this.updateRoomUsers(room);
+        this.resumeGame(room);
+    }
+
+    // Utility: apply the role switches that were waiting for a round to end
+    applyPendingRoles(room, game) {
+        game.pendingRoles.forEach((role, userId) => this.applyRole(room, userId, role));
+        game.pendingRoles.clear();
+    }
+
+    // Handle a player choosing their team
+    handleTeamJoin(userId, room, team) {
+        this.setTeam(userId, room, userId, team);
+    }
+
+    // Handle the host putting a player on a team: { userId, team }
+    handleTeamAssign(userId, room, assignment) {
+        if (!this.requireHost(room, userId, 'assign teams')) return;
+
+        const target = this.getHostTarget(userId, room, assignment?.userId);
+        if (!target) return;
+
+        this.setTeam(userId, room, target.id, assignment.team);
+    }
+
+    // Utility: move a player to a team, or tell `userId` why not. Teams are fixed once the game starts.
+    setTeam(userId, room, targetId, team) {
+        const teams = this.getTeams(room);
+        if (teams.length === 0) {
+            this.sendError(userId, 'TEAM_MODE_OFF', 'Team mode is off in this room');
+            return;
+        }
+        if (this.roomGames.get(room)?.gameStarted) {
+            this.sendError(userId, 'TEAMS_LOCKED', "Teams can't be changed once the game has started");
+            return;
+        }
+        if (!teams.includes(team)) {
+            this.sendError(userId, 'INVALID_TEAM', `Team must be one of: ${teams.join(', ')}`);
+            return;
+        }
+
+        const target = this.roomUsers.get(room).get(targetId);
+        if (target.role !== ROLES.PLAYER) {
+            this.sendError(userId, 'NOT_A_PLAYER', 'Spectators are not on a team');
+            return;
+        }
+        if (target.team === team) return;
+
+        target.team = team;
+        console.log(`🎽 ${target.userName} joined team ${team} in room ${room}`);
+        this.updateRoomUsers(room);
+    }
+
+    // Handle chat message
+    handleChatMessage(userId, room, message) {
+        if (typeof message !== 'string') return;
+
+        const user = this.roomUsers.get(room)?.get(userId);
+        console.log(`💬 ${user?.userName} in room ${room}: ${message}`);
+
+        // Spectators never guess; they only talk among themselves so they can't spoil the word
+        if (user?.role === ROLES.SPECTATOR) {
+            const spectators = Array.from(this.roomUsers.get(room).values()).filter(other => other.role === ROLES.SPECTATOR);
+            spectators.forEach(spectator => this.send(spectator.id, 'chat:message', {
+                id: Date.now() + Math.random(),
+                userName: user.userName,
+                message: message,
+                timestamp: Date.now(),
+                channel: CHAT_CHANNELS.SPECTATORS
+            }));
+            return;
+        }
+
+        const game = this.roomGames.get(room);
+        const isDrawing = this.roomTurnMachines.get(room)?.phase === PHASES.DRAWING;
+
+        // The drawer can't give the word away (spaced out, leetspeak, ...)
+        if (game?.currentWord && isDrawing && game.currentDrawer === userId && containsWord(message, game.currentWord)) {
+            this.sendError(userId, 'MESSAGE_BLOCKED', 'Your message gives away the word');
+            console.log(`🙊 Blocked a message from drawer ${user?.userName} in room ${room}`);
+            return;
+        }
+
+        // Check if this is a correct guess while the drawing phase is running
+        if (game && game.currentWord && isDrawing && game.currentDrawer !== userId) {
+            // Check if user already guessed correctly this round
+            if (!this.roomCorrectGuessers.has(room)) {
+                this.roomCorrectGuessers.set(room, new Set());
+            }
+            const correctGuessers = this.roomCorrectGuessers.get(room);
+            if (!correctGuessers.has(userId)) {
+                // Check if guess is correct (ignoring case, accents, punctuation, spacing and plurals; aliases count)
+                const match = matchAnswer(message, game.currentWord, { aliases: game.currentAliases });
+
+                // Other teams can't take the word when only the drawer's team guesses; keep it from the room
+                if (match.correct && user && !this.canGuess(room, game, user)) {
+                    this.sendError(userId, 'NOT_YOUR_TEAM', "Only the drawer's team can guess this turn");
+                    return;
+                }
+
+                if (match.correct) {
+                    // Add to correct guessers
+                    correctGuessers.add(userId);
+
+                    // Price the guess with the room's scoring strategy
+                    const guessPosition = correctGuessers.size;
+                    const multiplier = getDifficultyMultiplier(game.currentDifficulty);
+                    const settings = this.getRoomSettings(room);
+                    const { points, breakdown } = getScoringStrategy(settings.scoring).scoreGuess({
+                        position: guessPosition,
+                        remainingMs: this.getRemainingMs(room),
+                        totalMs: settings.turnDuration * 1000,
+                        multiplier: multiplier
+                    });
+
+                    // Update user points (and their team's total)
+                    if (user) {
+                        this.addPoints(game, user, points);
+                    }
+                    game.turnPoints.set(userId, points);
+                    game.turnBreakdowns.set(userId, breakdown);
+                    recordCorrectGuess(game.stats, userId, guessPosition, Date.now() - game.drawingStartTime);
+
+                    // Broadcast updated user list with new points
+                    this.updateRoomUsers(room);
+
+                    // The guesser has earned the full word
+                    this.send(userId, 'word:reveal', { word: game.currentWord });
+
+                    // Emit correct guess event
+                    this.broadcast(room, 'guess:correct', {
+                        userName: user?.userName,
+                        team: user?.team,
+                        points: points,
+                        position: guessPosition,
+                        totalCorrect: correctGuessers.size,
+                        multiplier: multiplier,
+                        breakdown: breakdown
+                    });
+
+                    // Emit special chat message for correct guess
+                    this.broadcast(room, 'chat:message', {
+                        id: Date.now() + Math.random(),
+                        userName: user?.userName,
+                        message: `🎉 Correct! +${points} points`,
+                        timestamp: Date.now(),
+                        isCorrectGuess: true,
+                        points: points,
+                        position: guessPosition
+                    });
+
+                    console.log(`✅ ${user?.userName} guessed correctly in room ${room}! +${points} points (position ${guessPosition})`);
+
+                    // End the turn early once everyone has guessed
+                    this.checkAllGuessed(room);
+                    return; // Don't send the original message if it was a correct guess
+                }
+
+                // Only the guesser hears about a near miss; the room never sees it
+                if (match.close) {
+                    this.send(userId, 'guess:close', { guess: message, message: "You're close!" });
+                    return;
+                }
+            }
+        }
+
+        const chatMessage = {
+            id: Date.now() + Math.random(), // Simple unique ID
+            userName: user?.userName,
+            message: message,
+            timestamp: Date.now()
+        };
+
+        // Players who already guessed only talk to those who know the word until the turn is over
+        if (game?.currentWord && isDrawing && this.roomCorrectGuessers.get(room)?.has(userId)) {
+            this.broadcastToWordKnowers(room, 'chat:message', { ...chatMessage, channel: CHAT_CHANNELS.GUESSED });
+            return;
+        }
+
+        // Broadcast the regular chat message to all users in the room
+        this.broadcast(room, 'chat:message', { ...chatMessage, channel: CHAT_CHANNELS.ALL });
+    }
+}
+
+module.exports = GameEngine;
@@ -0,0 +1,244 @@
+// Game recorder for drawing game
+// Writes every inbound event and room broadcast of a game to a newline-delimited JSON file, and plays recordings back.
+// Messages sent to a single player (word options, the drawer's word, session tokens) are never written, and
+// fields that let someone take a seat or enter a room (SECRET_FIELDS) are dropped from anything that is.
+//
+// File format: a header line, then one line per event:
+//   { v, id, room, startedAt, ...meta }   meta.listed = the room is listed in the lobby (see listRecordings)
+//   { t, d, e, a, u?, x? }   t = ms since start, d = "in"/"out", e = event name, a = event arguments,
+//                            u = sender, x = recipients excluded from a room broadcast
+// Recordings made before private messages were left out may also hold lines with `to` (their direct recipients).
+
+const fs = require("fs");
+const path = require("path");
+
+const RECORDING_FORMAT_VERSION = 1;
+
+// Where recordings are written
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, "recordings");
+
+const RECORDING_EXTENSION = ".ndjson";
+
+const DIRECTIONS = {
+    IN: "in",
+    OUT: "out"
+};
+
+// Replays run at real time or faster
+const REPLAY_SPEED = { min: 1, max: 16 };
+
+// Recording IDs become file names, so keep them to safe characters
+const RECORDING_ID_PATTERN = /^[\w-]+$/;
+
+// Fields never written to a recording, wherever they turn up in an event: recordings can be downloaded and replayed
+const SECRET_FIELDS = new Set(["token", "sessionToken", "password"]);
+
+// Header lines are small; this is plenty to read one
+const HEADER_READ_BYTES = 4096;
+
+// Utility: one recording line as JSON, without any secret fields
+const toRecordingLine = (line) => JSON.stringify(line, (key, value) => (SECRET_FIELDS.has(key) ? undefined : value));
+
+// Utility: turn a room name into something safe for a file name
+const slugify = (room) => String(room).replace(/[^\w-]+/g, "_").slice(0, 40) || "room";
+
+class GameRecorder {
+    constructor({ dir = RECORDINGS_DIR } = {}) {
+        this.dir = dir;
+
+        // Open recordings by room: Map<room, { id, stream, startedAt }>
+        this.recordings = new Map();
+    }
+
+    // Start recording a room's game (ending any recording already open for it). Returns the recording ID.
+    start(room, meta = {}) {
+        this.stop(room);
+
+        const startedAt = Date.now();
+        const id = `${slugify(room)}-${startedAt}`;
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const stream = fs.createWriteStream(path.join(this.dir, `${id}${RECORDING_EXTENSION}`), { flags: "wx" });
+        stream.on("error", (error) => console.error(`Error writing recording ${id}:`, error.message));
+
+        this.recordings.set(room, { id, stream, startedAt });
+        this.writeLine(room, {
+            v: RECORDING_FORMAT_VERSION,
+            id: id,
+            room: room,
+            startedAt: new Date(startedAt).toISOString(),
+            ...meta
+        });
+
+        console.log(`⏺️ Recording game in room ${room} (${id})`);
+        return id;
+    }
+
+    isRecording(room) {
+        return this.recordings.has(room);
+    }
+
+    // ID of the recording open for a room, or null
+    getRecordingId(room) {
+        return this.recordings.get(room)?.id || null;
+    }
+
+    // Utility: append one JSON line to a room's recording, without any secret fields
+    writeLine(room, line) {
+        this.recordings.get(room)?.stream.write(`${toRecordingLine(line)}\n`);
+    }
+
+    // Record one event; ignored when the room isn't being recorded
+    record(room, direction, event, args = [], { from, except } = {}) {
+        const recording = this.recordings.get(room);
+        if (!recording) return;
+
+        const line = { t: Date.now() - recording.startedAt, d: direction, e: event, a: args };
+        if (from) line.u = from;
+        if (except?.length) line.x = except;
+        this.writeLine(room, line);
+    }
+
+    // Finish a room's recording and close its file
+    stop(room) {
+        const recording = this.recordings.get(room);
+        if (!recording) return;
+
+        this.recordings.delete(room);
+        recording.stream.end();
+        console.log(`⏹️ Recording ${recording.id} finished`);
+    }
+}
+
+// Utility: path of a recording file, or null for an unknown or unsafe ID
+const getRecordingPath = (id, dir = RECORDINGS_DIR) => {
+    if (!RECORDING_ID_PATTERN.test(String(id))) return null;
+    const file = path.join(dir, `${id}${RECORDING_EXTENSION}`);
+    return fs.existsSync(file) ? file : null;
+};
+
+// Utility: read just the header line of a recording file
+const readHeader = (file) => {
+    const fd = fs.openSync(file, "r");
+    try {
+        const buffer = Buffer.alloc(HEADER_READ_BYTES);
+        const bytes = fs.readSync(fd, buffer, 0, HEADER_READ_BYTES, 0);
+        return JSON.parse(buffer.toString("utf8", 0, bytes).split("\n")[0]);
+    } catch {
+        return null;
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+// Read a recording's header, or null if it doesn't exist
+const readRecordingHeader = (id, dir = RECORDINGS_DIR) => {
+    const file = getRecordingPath(id, dir);
+    return file ? readHeader(file) : null;
+};
+
+// List recordings of rooms listed in the lobby (headers plus file size), newest first. Other rooms' names are how
+// players get in, so their recordings stay off the list; they can still be replayed by ID.
+const listRecordings = (dir = RECORDINGS_DIR) => {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith(RECORDING_EXTENSION))
+        .map(name => {
+            const file = path.join(dir, name);
+            const header = readHeader(file);
+            return header?.listed && { ...header, size: fs.statSync(file).size };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+};
+
+// Load a recording as { header, events }, or null if it doesn't exist.
+// A recording still being written (or cut off by a crash) loads up to its last complete line.
+const readRecording = (id, dir = RECORDINGS_DIR) => {
+    const file = getRecordingPath(id, dir);
+    if (!file) return null;
+
+    const lines = fs.readFileSync(file, "utf8").split("\n");
+    const parsed = [];
+    for (const line of lines) {
+        if (!line) continue;
+        try {
+            parsed.push(JSON.parse(line));
+        } catch {
+            break;
+        }
+    }
+    if (parsed.length === 0) return null;
+
+    const [header, ...events] = parsed;
+    return { header, events };
+};
+
+// A recording as it may be handed out: newline-delimited JSON without messages sent to one player or secret
+// fields, even if the file predates leaving them out. Null if it doesn't exist.
+const exportRecording = (id, dir = RECORDINGS_DIR) => {
+    const recording = readRecording(id, dir);
+    if (!recording) return null;
+
+    const lines = [recording.header, ...recording.events.filter(line => !line.to)];
+    return lines.map(line => `${toRecordingLine(line)}\n`).join("");
+};
+
+// Parse a replay speed, returning null if it isn't allowed
+const parseReplaySpeed = (value) => {
+    if (value === undefined || value === null || value === "") return REPLAY_SPEED.min;
+    const speed = Number(value);
+    return Number.isFinite(speed) && speed >= REPLAY_SPEED.min && speed <= REPLAY_SPEED.max ? speed : null;
+};
+
+// Play recorded events back in order, `speed` times faster than they happened.
+// `emit(event)` is called for each one and `onEnd()` after the last. Returns { stop }.
+const playRecording = (events, { speed = 1, emit, onEnd }) => {
+    const firstTime = events[0]?.t || 0;
+    const startedAt = Date.now();
+    let index = 0;
+    let timer = null;
+
+    const dueIn = (event) => (event.t - firstTime) / speed - (Date.now() - startedAt);
+
+    // One timer at a time: emit everything that's due, then wait for the next event
+    const scheduleNext = () => {
+        if (index >= events.length) {
+            timer = null;
+            onEnd?.();
+            return;
+        }
+
+        timer = setTimeout(() => {
+            while (index < events.length && dueIn(events[index]) <= 0) {
+                emit(events[index++]);
+            }
+            scheduleNext();
+        }, Math.max(0, dueIn(events[index])));
+    };
+
+    scheduleNext();
+
+    return {
+        stop: () => {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+};
+
+module.exports = {
+    RECORDING_FORMAT_VERSION,
+    RECORDINGS_DIR,
+    DIRECTIONS,
+    REPLAY_SPEED,
+    GameRecorder,
+    getRecordingPath,
+    readRecordingHeader,
+    listRecordings,
+    readRecording,
+    exportRecording,
+    parseReplaySpeed,
+    playRecording
+};
@@ -0,0 +1,70 @@
+// Game stats helpers for drawing game
+// Tracks per-player stats over a game and ranks the final standings
+
+// Number of top ranks shown on the podium
+const PODIUM_SIZE = 3;
+
+// Empty stats for a player
+const createPlayerStats = () => ({
+    correctGuesses: 0,
+    firstGuesses: 0,
+    turnsDrawn: 0,
+    fastestGuessMs: null
+});
+
+// Utility: get (or create) a player's stats
+const getPlayerStats = (stats, userId) => {
+    if (!stats.has(userId)) {
+        stats.set(userId, createPlayerStats());
+    }
+    return stats.get(userId);
+};
+
+// Record a correct guess made `guessMs` after the drawing started
+const recordCorrectGuess = (stats, userId, position, guessMs) => {
+    const playerStats = getPlayerStats(stats, userId);
+    playerStats.correctGuesses++;
+    if (position === 1) playerStats.firstGuesses++;
+    if (playerStats.fastestGuessMs === null || guessMs < playerStats.fastestGuessMs) {
+        playerStats.fastestGuessMs = guessMs;
+    }
+};
+
+// Record a turn spent drawing
+const recordTurnDrawn = (stats, userId) => {
+    getPlayerStats(stats, userId).turnsDrawn++;
+};
+
+// Rank players by points; players on equal points share a rank (1, 1, 3, ...)
+const rankPlayers = (users, stats = new Map()) => {
+    const sorted = [...users].sort((a, b) => (b.points || 0) - (a.points || 0));
+
+    let rank = 0;
+    let previousPoints = null;
+    return sorted.map((user, index) => {
+        const points = user.points || 0;
+        if (points !== previousPoints) {
+            rank = index + 1;
+            previousPoints = points;
+        }
+        return {
+            rank: rank,
+            id: user.id,
+            userName: user.userName,
+            points: points,
+            ...(stats.get(user.id) || createPlayerStats())
+        };
+    });
+};
+
+// Players who made the podium (ties can put more than three players on it)
+const buildPodium = (standings) => standings.filter(player => player.rank <= PODIUM_SIZE);
+
+module.exports = {
+    PODIUM_SIZE,
+    createPlayerStats,
+    recordCorrectGuess,
+    recordTurnDrawn,
+    rankPlayers,
+    buildPodium
+};
@@ -1,11 +1,12 @@
 // gRPC server for realtime drawing game communication
-// Uses bidirectional streaming for realtime events
+// Uses bidirectional streaming for realtime events; a thin adapter between GameEvent messages and the game engine
 
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const GameLogic = require('./game-logic');
+const GameEngine = require('./game-engine');
+const { MAX_PAYLOAD_BYTES } = require('./validation');
 
 const PROTO_PATH = path.join(__dirname, 'drawing-game.proto');
 
@@ -19,30 +20,149 @@ const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
 
 const proto = grpc.loadPackageDefinition(packageDefinition).drawinggame;
 
-// Initialize game logic
-const gameLogic = new GameLogic();
+// GameEvent fields clients send, and the engine event each one becomes
+const INBOUND_EVENTS = {
+    segment: 'segment',
+    segmentBatch: 'segment:batch',
+    drawOp: 'draw:op',
+    strokeBegin: 'stroke:begin',
+    strokeEnd: 'stroke:end',
+    strokeUndo: 'stroke:undo',
+    strokeRedo: 'stroke:redo',
+    clear: 'clear',
+    cursor: 'cursor',
+    wordSelectIndex: 'word:select',
+    settingsUpdate: 'settings:update',
+    gameStart: 'game:start',
+    rematch: 'game:rematch',
+    chatMessage: 'chat:message',
+    hostKick: 'host:kick',
+    hostBan: 'host:ban',
+    hostTransfer: 'host:transfer',
+    hostLock: 'host:lock',
+    hostSkip: 'host:skip',
+    roleSwitch: 'role:switch',
+    teamJoin: 'team:join',
+    hostTeam: 'host:team'
+};
+
+// Engine events, and the GameEvent field each one is sent as
+const OUTBOUND_FIELDS = {
+    'users:update': 'usersUpdate',
+    'user:joined': 'userJoined',
+    'user:left': 'userLeft',
+    'user:disconnected': 'userDisconnected',
+    'user:reconnected': 'userReconnected',
+    'session': 'session',
+    'room:settings': 'roomSettings',
+    'room:host': 'roomHost',
+    'room:locked': 'roomLocked',
+    'room:kicked': 'kicked',
+    'role:changed': 'roleChanged',
+    'teams:update': 'teamsUpdate',
+    'canvas:sync': 'canvasSync',
+    'error': 'error',
+    'segment': 'segment',
+    'segment:batch': 'segmentBatch',
+    'draw:op': 'drawOp',
+    'stroke:begin': 'strokeBegin',
+    'stroke:end': 'strokeEnd',
+    'stroke:undo': 'strokeUndo',
+    'stroke:redo': 'strokeRedo',
+    'clear': 'clear',
+    'cursor': 'cursor',
+    'cursor:batch': 'cursorBatch',
+    'round:start': 'roundStart',
+    'turn:start': 'turnStart',
+    'turn:phase': 'turnPhase',
+    'turn:paused': 'turnPaused',
+    'turn:resumed': 'turnResumed',
+    'turn:end': 'turnEnd',
+    'word:options': 'wordOptions',
+    'word:selected': 'wordSelected',
+    'word:hint': 'wordHint',
+    'word:reveal': 'wordReveal',
+    'timer:update': 'timerUpdate',
+    'guess:correct': 'guessCorrect',
+    'guess:close': 'guessClose',
+    'chat:message': 'chatMessageResponse',
+    'game:over': 'gameOver',
+    'game:paused': 'gamePaused',
+    'game:resumed': 'gameResumed',
+    'game:rematch': 'gameRematch'
+};
+
+// Engine payloads whose shape differs from their GameEvent message
+const OUTBOUND_CONVERTERS = {
+    'users:update': (users) => ({ users }),
+    'stroke:redo': ({ stroke }) => stroke,
+    'clear': () => ''
+};
+
+// Convert a SettingsUpdate message into a plain partial settings update
+// (only fields the client actually set are present; an empty category means "all categories")
+function toSettingsUpdate(message) {
+    const update = {};
+    ['turnDuration', 'rounds', 'maxPlayers', 'language', 'customWordsOnly', 'scoring', 'teamMode', 'teams'].forEach(field => {
+        if (message[field] !== undefined && message[field] !== null) update[field] = message[field];
+    });
+    if (message.category !== undefined && message.category !== null) update.category = message.category || null;
+    if (message.customWords) update.customWords = message.customWords.words || [];
+    return update;
+}
+
+// Convert an engine event into a GameEvent message, or null if gRPC clients don't receive it
+function toGameEvent(event, payload, { room, from }) {
+    const field = OUTBOUND_FIELDS[event];
+    if (!field) return null;
+
+    const convert = OUTBOUND_CONVERTERS[event];
+    return {
+        room: room,
+        userId: from,
+        [field]: convert ? convert(payload) : payload
+    };
+}
 
 // Implement the Connect service method (bidirectional streaming)
-function connect(call) {
+function connect(engine, call) {
     console.log('New gRPC connection established');
 
-    // Generate a unique user ID for this connection
-    const userId = uuidv4();
-    call.metadata.set('userId', userId);
+    // Generate a unique ID for this connection (a new player's user ID; returning players keep theirs)
+    const connectionId = uuidv4();
+    let joined = false;
 
     // Handle incoming messages from client
     call.on('data', (gameEvent) => {
         try {
-            const { room, join, segment, clear, cursor, wordSelect, gameStart, chatMessage } = gameEvent;
-
-            // Handle different event types using object destructuring
-            if (join) gameLogic.handleJoin(call, join);
-            else if (segment) gameLogic.handleSegment(call, room, segment);
-            else if (clear !== undefined) gameLogic.handleClear(call, room);
-            else if (cursor) gameLogic.handleCursor(call, room, cursor);
-            else if (wordSelect) gameLogic.handleWordSelect(call, room, wordSelect);
-            else if (gameStart !== undefined) gameLogic.handleGameStart(call, room);
-            else if (chatMessage) gameLogic.handleChatMessage(call, room, chatMessage);
+            const { event, join } = gameEvent;
+
+            // The first join puts this stream in a room (or back in its seat); everything else goes to the engine
+            if (join) {
+                if (joined) return;
+                joined = Boolean(engine.join({
+                    id: connectionId,
+                    room: join.room || 'default',
+                    userName: join.userName,
+                    sessionToken: join.sessionToken,
+                    password: join.password,
+                    role: join.role,
+                    stream: join.stream,
+                    address: call.getPeer().replace(/:\d+$/, ''), // "ipv4:1.2.3.4:5678" without the port
+                    transport: 'grpc',
+                    send: (name, payload, meta) => {
+                        const message = toGameEvent(name, payload, meta);
+                        if (message) call.write(message);
+                    },
+                    close: () => call.end()
+                }));
+                return;
+            }
+
+            const name = INBOUND_EVENTS[event];
+            if (!name) return;
+            const payload = event === 'settingsUpdate' ? toSettingsUpdate(gameEvent.settingsUpdate) : gameEvent[event];
+            engine.handle(connectionId, name, payload);
         } catch (error) {
             console.error('Error handling game event:', error);
         }
@@ -51,24 +171,24 @@ function connect(call) {
     // Handle connection end
     call.on('end', () => {
         console.log('gRPC connection ended');
-        gameLogic.cleanup(call);
+        engine.leave(connectionId);
         call.end();
     });
 
     // Handle connection errors
     call.on('error', (error) => {
         console.error('gRPC connection error:', error);
-        gameLogic.cleanup(call);
+        engine.leave(connectionId);
     });
 }
 
-// Create and start the gRPC server
-function main() {
-    const server = new grpc.Server();
+// Create and start the gRPC server around a game engine (shared with the other transports)
+function main(engine = new GameEngine()) {
+    const server = new grpc.Server({ 'grpc.max_receive_message_length': MAX_PAYLOAD_BYTES });
 
     // Add the DrawingGameService
     server.addService(proto.DrawingGameService.service, {
-        Connect: connect
+        Connect: (call) => connect(engine, call)
     });
 
     const port = process.env.GRPC_PORT || 50051;
@@ -81,8 +201,9 @@ function main() {
         }
 
         console.log(`🚀 gRPC server running on ${host}:${boundPort}`);
-        server.start();
     });
+
+    return server;
 }
 
 module.exports = main;
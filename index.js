@@ -1,7 +1,44 @@
 // Main entry point for the drawing game backend
-// Starts the Socket.IO server for realtime communication
+// Starts one game engine and the Socket.IO, plain WebSocket and gRPC servers around it, so players on any of them can share a room.
+// With CLUSTER_WORKERS=2 or more, starts a cluster primary instead, and each worker runs an engine and the servers (see cluster.js).
+// Settings come from environment variables; config.js lists them all.
 
-console.log('🎨 Starting Drawing Game Backend (Socket.IO)...');
+const cluster = require('cluster');
+const GameEngine = require('./game-engine');
+const startSocketServer = require('./socket-server');
+const startWsServer = require('./ws-server');
+const startGrpcServer = require('./grpc-server');
+const { createStorage } = require('./storage');
+const { CLUSTER_WORKERS, ClusterLink, startPrimary } = require('./cluster');
 
-// Import and run the Socket.IO server directly since it exports a server.listen call
-require('./socket-server');
+// Start an engine and the servers around it (the whole backend, or one cluster worker)
+const startBackend = (clusterLink = null) => {
+    const storage = createStorage();
+    console.log(`💾 Rooms are saved ${storage.describe()} (set with STORAGE and STORAGE_DIR, see config.js)`);
+
+    const engine = new GameEngine({ storage, cluster: clusterLink });
+    engine.rehydrate();
+
+    const server = startSocketServer(engine);
+    startWsServer(engine, server);
+    startGrpcServer(engine);
+
+    // Save every room on the way down so the next start picks the games up again
+    const shutdown = (signal) => {
+        console.log(`💾 ${signal} received, saving rooms before exiting...`);
+        engine.saveRooms().finally(() => process.exit(0));
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+};
+
+if (CLUSTER_WORKERS > 1 && cluster.isPrimary) {
+    console.log(`🎨 Starting Drawing Game Backend cluster (${CLUSTER_WORKERS} workers)...`);
+    startPrimary();
+} else if (cluster.isWorker) {
+    console.log(`🎨 Starting worker ${process.env.WORKER_INDEX} (Socket.IO + WebSocket + gRPC)...`);
+    startBackend(new ClusterLink());
+} else {
+    console.log('🎨 Starting Drawing Game Backend (Socket.IO + WebSocket + gRPC)...');
+    startBackend();
+}
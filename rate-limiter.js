@@ -0,0 +1,87 @@
+// Rate limiting for drawing game
+// Every connection gets a token bucket per client event type, so a flood of one event (cursor moves, chat)
+// can't starve or swamp the room. Rejected or invalid events count as strikes; a connection that racks up
+// too many strikes in a short window is disconnected.
+
+// Bucket sizes per event: `rate` tokens refill per second, up to `burst`
+const RATE_LIMITS = {
+    "segment": { rate: 120, burst: 240 },
+    "segment:batch": { rate: 60, burst: 120 },
+    "segment:bin": { rate: 60, burst: 120 },
+    "draw:op": { rate: 120, burst: 240 },
+    "cursor": { rate: 60, burst: 120 },
+    "chat:message": { rate: 2, burst: 5 },
+    "settings:update": { rate: 2, burst: 5 },
+    default: { rate: 10, burst: 20 }
+};
+
+// Strikes within the window that get a connection disconnected
+const MAX_STRIKES = 20;
+const STRIKE_WINDOW_SECONDS = 10;
+
+class TokenBucket {
+    constructor({ rate, burst }) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+    }
+
+    // Is there a token to take? (Refills the bucket for the time passed.)
+    hasToken() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+        this.updatedAt = now;
+        return this.tokens >= 1;
+    }
+
+    // Is the bucket back to full? (Nothing has been taken lately.)
+    isFull() {
+        return this.hasToken() && this.tokens >= this.burst;
+    }
+
+    // Take one token if there is one. Returns false if the bucket is empty.
+    take() {
+        if (!this.hasToken()) return false;
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+class RateLimiter {
+    constructor({ limits = RATE_LIMITS, maxStrikes = MAX_STRIKES, strikeWindowSeconds = STRIKE_WINDOW_SECONDS } = {}) {
+        this.limits = limits;
+        this.maxStrikes = maxStrikes;
+        this.strikeWindowMs = strikeWindowSeconds * 1000;
+
+        // Buckets by event: Map<event, TokenBucket>
+        this.buckets = new Map();
+
+        // Times of recent strikes, oldest first
+        this.strikes = [];
+    }
+
+    // May the connection send this event now? Uses up a token if so.
+    take(event) {
+        if (!this.buckets.has(event)) {
+            this.buckets.set(event, new TokenBucket(this.limits[event] || this.limits.default));
+        }
+        return this.buckets.get(event).take();
+    }
+
+    // Count a strike. Returns true once the connection has too many strikes and should be disconnected.
+    strike() {
+        const now = Date.now();
+        this.strikes = this.strikes.filter(time => now - time < this.strikeWindowMs);
+        this.strikes.push(now);
+        return this.strikes.length >= this.maxStrikes;
+    }
+}
+
+module.exports = {
+    RATE_LIMITS,
+    MAX_STRIKES,
+    STRIKE_WINDOW_SECONDS,
+    TokenBucket,
+    RateLimiter
+};
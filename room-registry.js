@@ -0,0 +1,211 @@
+// Room registry for drawing game
+// Rooms created through the REST API: each gets a short join code (which is also its room name), is either
+// public (listed in the lobby) or private (only reachable by code), and can require a password.
+// Rooms that were never registered still work as before: any room name joins an open, unlisted room.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { TokenBucket } = require("./rate-limiter");
+
+const scrypt = promisify(crypto.scrypt);
+
+const VISIBILITY = {
+    PUBLIC: "public",
+    PRIVATE: "private"
+};
+
+// Join codes: short, easy to read out loud (no 0/O or 1/I/L)
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+const LIMITS = {
+    name: { max: 40 },
+    password: { min: 1, max: 64 }
+};
+
+// Minutes a created room waits for its first player before it's dropped
+const ROOM_CLAIM_MINUTES = 10;
+
+// Wrong passwords one address may try: `burst` in a row, then one more every 1 / `rate` seconds
+const PASSWORD_ATTEMPTS = { rate: 0.2, burst: 5 };
+
+// Addresses with recent wrong passwords kept before the ones that have cooled down are forgotten
+const MAX_TRACKED_ADDRESSES = 10000;
+
+// Utility: hash a password with a per-room salt. Resolves to the hash; scrypt runs off the event loop, so a
+// burst of password attempts doesn't stall every other room.
+const hashPassword = (password, salt) => scrypt(String(password), salt, 32);
+
+class RoomRegistry {
+    constructor({ claimMinutes = ROOM_CLAIM_MINUTES } = {}) {
+        this.claimMs = claimMinutes * 60 * 1000;
+
+        // Registered rooms by code: Map<code, { code, name, visibility, salt, passwordHash, settings, createdAt, expiry }>
+        this.rooms = new Map();
+
+        // Wrong password attempts by address: Map<address, TokenBucket>
+        this.failedAttempts = new Map();
+    }
+
+    // Validate a create request ({ name, visibility, password }). Returns { options } or { error }.
+    validate({ name, visibility = VISIBILITY.PUBLIC, password } = {}) {
+        if (!Object.values(VISIBILITY).includes(visibility)) {
+            return { error: `visibility must be one of: ${Object.values(VISIBILITY).join(", ")}` };
+        }
+        if (name !== undefined && (typeof name !== "string" || name.trim().length > LIMITS.name.max)) {
+            return { error: `name must be a string of at most ${LIMITS.name.max} characters` };
+        }
+        if (password !== undefined && (typeof password !== "string" ||
+            password.length < LIMITS.password.min || password.length > LIMITS.password.max)) {
+            return { error: `password must be a string of ${LIMITS.password.min} to ${LIMITS.password.max} characters` };
+        }
+        return { options: { name: name?.trim() || null, visibility, password: password || null } };
+    }
+
+    // Register a room with validated options and optional initial settings. `isTaken(code)` rules out codes
+    // already used as room names. Resolves to the registered room.
+    async create({ name, visibility, password }, { settings = null, isTaken = () => false } = {}) {
+        const salt = password ? crypto.randomBytes(16) : null;
+        const passwordHash = password ? await hashPassword(password, salt) : null;
+
+        let code;
+        do {
+            code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join("");
+        } while (this.rooms.has(code) || isTaken(code));
+
+        const room = {
+            code: code,
+            name: name || code,
+            visibility: visibility,
+            salt: salt,
+            passwordHash: passwordHash,
+            settings: settings,
+            createdAt: new Date().toISOString(),
+            expiry: null
+        };
+        this.rooms.set(code, room);
+        this.expireUnclaimed(code);
+
+        console.log(`🚪 ${visibility} room ${code} created${password ? " (password protected)" : ""}`);
+        return room;
+    }
+
+    // Utility: drop a room nobody joins within the claim time
+    expireUnclaimed(code) {
+        const room = this.rooms.get(code);
+        room.expiry = setTimeout(() => {
+            this.rooms.delete(code);
+            console.log(`🚪 Room ${code} expired before anyone joined`);
+        }, this.claimMs);
+        room.expiry.unref?.();
+    }
+
+    get(code) {
+        return this.rooms.get(code) || null;
+    }
+
+    // Settings the room was created with, if any
+    getInitialSettings(code) {
+        return this.rooms.get(code)?.settings || null;
+    }
+
+    // Does entering the room take a password?
+    needsPassword(code) {
+        return Boolean(this.rooms.get(code)?.passwordHash);
+    }
+
+    // Check the password a connection from `address` presents for a room. Resolves to null if the room takes it,
+    // or { code, message } if not. An address that got it wrong too often is turned away without checking.
+    async checkPassword(code, password, address) {
+        const room = this.rooms.get(code);
+        if (!room?.passwordHash) return null;
+
+        if (typeof password !== "string" || !password) {
+            return { code: "PASSWORD_REQUIRED", message: `Room ${code} needs a password` };
+        }
+        if (this.failedAttempts.get(address)?.hasToken() === false) {
+            return { code: "TOO_MANY_ATTEMPTS", message: "Too many wrong passwords, try again later" };
+        }
+        if (!crypto.timingSafeEqual(await hashPassword(password, room.salt), room.passwordHash)) {
+            this.recordFailedAttempt(address);
+            return { code: "WRONG_PASSWORD", message: `Wrong password for room ${code}` };
+        }
+        return null;
+    }
+
+    // Utility: count a wrong password against an address
+    recordFailedAttempt(address) {
+        if (!this.failedAttempts.has(address)) {
+            if (this.failedAttempts.size >= MAX_TRACKED_ADDRESSES) {
+                this.failedAttempts.forEach((bucket, tracked) => {
+                    if (bucket.isFull()) this.failedAttempts.delete(tracked);
+                });
+            }
+            this.failedAttempts.set(address, new TokenBucket(PASSWORD_ATTEMPTS));
+        }
+        this.failedAttempts.get(address).take();
+    }
+
+    // Someone joined: the room stays until it empties
+    claim(code) {
+        const room = this.rooms.get(code);
+        if (room) {
+            clearTimeout(room.expiry);
+            room.expiry = null;
+        }
+    }
+
+    // Forget a room (its last player left)
+    remove(code) {
+        const room = this.rooms.get(code);
+        if (!room) return;
+
+        clearTimeout(room.expiry);
+        this.rooms.delete(code);
+    }
+
+    // A registered room as plain data for storage (see restore)
+    getState(code) {
+        const room = this.rooms.get(code);
+        if (!room) return null;
+
+        const { expiry, salt, passwordHash, ...rest } = room;
+        return {
+            ...rest,
+            salt: salt?.toString("base64") || null,
+            passwordHash: passwordHash?.toString("base64") || null
+        };
+    }
+
+    // Register a room saved with getState again (it already has players, so it doesn't expire)
+    restore(state) {
+        this.rooms.set(state.code, {
+            ...state,
+            salt: state.salt ? Buffer.from(state.salt, "base64") : null,
+            passwordHash: state.passwordHash ? Buffer.from(state.passwordHash, "base64") : null,
+            expiry: null
+        });
+    }
+
+    // Public rooms, oldest first
+    listPublic() {
+        return Array.from(this.rooms.values()).filter(room => room.visibility === VISIBILITY.PUBLIC);
+    }
+}
+
+// Utility: the parts of a registered room that are safe to show clients
+const describeRoom = (room) => ({
+    code: room.code,
+    name: room.name,
+    visibility: room.visibility,
+    passwordProtected: Boolean(room.passwordHash),
+    createdAt: room.createdAt
+});
+
+module.exports = {
+    VISIBILITY,
+    ROOM_CLAIM_MINUTES,
+    PASSWORD_ATTEMPTS,
+    RoomRegistry,
+    describeRoom
+};
@@ -0,0 +1,168 @@
+// Room settings for drawing game
+// Defaults and server-side validation for the options a host picks before the game starts
+
+const { DEFAULT_ROUNDS } = require("./turn-state");
+const { LANGUAGES, DEFAULT_LANGUAGE, WORD_OPTION_COUNT, getCategories } = require("./word-bank");
+const { SCORING_STRATEGIES, DEFAULT_SCORING_STRATEGY } = require("./scoring");
+const { TEAM_MODES, TEAM_IDS, DEFAULT_TEAM_COUNT } = require("./teams");
+
+// Allowed ranges for numeric settings
+const LIMITS = {
+    turnDuration: { min: 30, max: 240 },
+    rounds: { min: 1, max: 10 },
+    maxPlayers: { min: 2, max: 20 },
+    customWords: { max: 200 },
+    customWordLength: { min: 2, max: 32 },
+    teams: { min: 2, max: TEAM_IDS.length }
+};
+
+const DEFAULT_SETTINGS = {
+    turnDuration: 60,
+    rounds: DEFAULT_ROUNDS,
+    maxPlayers: 8,
+    language: DEFAULT_LANGUAGE,
+    category: null,
+    customWords: [],
+    customWordsOnly: false,
+    scoring: DEFAULT_SCORING_STRATEGY,
+    teamMode: TEAM_MODES.OFF,
+    teams: DEFAULT_TEAM_COUNT
+};
+
+// Fresh copy of the default settings for a new room
+const createSettings = () => ({ ...DEFAULT_SETTINGS, customWords: [] });
+
+const isIntegerInRange = (value, { min, max }) => Number.isInteger(value) && value >= min && value <= max;
+
+// Clean up a custom word list: trim, collapse whitespace, lowercase, drop duplicates
+const normalizeCustomWords = (words) => {
+    const seen = new Set();
+    return words
+        .map(word => String(word).trim().replace(/\s+/g, " ").toLowerCase())
+        .filter(word => {
+            if (!word || seen.has(word)) return false;
+            seen.add(word);
+            return true;
+        });
+};
+
+// Validate a partial settings update against the current settings.
+// Returns { settings } with the merged result, or { error } describing the first problem.
+const validateSettings = (update, current = createSettings(), { playerCount = 0 } = {}) => {
+    if (!update || typeof update !== "object" || Array.isArray(update)) {
+        return { error: "Settings must be an object" };
+    }
+
+    const settings = { ...current };
+
+    if (update.turnDuration !== undefined) {
+        if (!isIntegerInRange(update.turnDuration, LIMITS.turnDuration)) {
+            return { error: `turnDuration must be a whole number of seconds between ${LIMITS.turnDuration.min} and ${LIMITS.turnDuration.max}` };
+        }
+        settings.turnDuration = update.turnDuration;
+    }
+
+    if (update.rounds !== undefined) {
+        if (!isIntegerInRange(update.rounds, LIMITS.rounds)) {
+            return { error: `rounds must be between ${LIMITS.rounds.min} and ${LIMITS.rounds.max}` };
+        }
+        settings.rounds = update.rounds;
+    }
+
+    if (update.maxPlayers !== undefined) {
+        if (!isIntegerInRange(update.maxPlayers, LIMITS.maxPlayers)) {
+            return { error: `maxPlayers must be between ${LIMITS.maxPlayers.min} and ${LIMITS.maxPlayers.max}` };
+        }
+        if (update.maxPlayers < playerCount) {
+            return { error: `maxPlayers can't be lower than the ${playerCount} players already in the room` };
+        }
+        settings.maxPlayers = update.maxPlayers;
+    }
+
+    if (update.language !== undefined) {
+        if (!LANGUAGES.includes(update.language)) {
+            return { error: `language must be one of: ${LANGUAGES.join(", ")}` };
+        }
+        // A category from another language no longer applies
+        if (update.language !== settings.language && update.category === undefined) {
+            settings.category = null;
+        }
+        settings.language = update.language;
+    }
+
+    if (update.category !== undefined) {
+        const categories = getCategories(settings.language);
+        if (update.category !== null && !categories.includes(update.category)) {
+            return { error: `category must be null or one of: ${categories.join(", ")}` };
+        }
+        settings.category = update.category;
+    }
+
+    if (update.customWords !== undefined) {
+        if (!Array.isArray(update.customWords) || update.customWords.some(word => typeof word !== "string")) {
+            return { error: "customWords must be an array of strings" };
+        }
+        const customWords = normalizeCustomWords(update.customWords);
+        if (customWords.length > LIMITS.customWords.max) {
+            return { error: `customWords can have at most ${LIMITS.customWords.max} words` };
+        }
+        const { min, max } = LIMITS.customWordLength;
+        if (customWords.some(word => word.length < min || word.length > max)) {
+            return { error: `Each custom word must be ${min}-${max} characters long` };
+        }
+        settings.customWords = customWords;
+    }
+
+    if (update.customWordsOnly !== undefined) {
+        if (typeof update.customWordsOnly !== "boolean") {
+            return { error: "customWordsOnly must be true or false" };
+        }
+        settings.customWordsOnly = update.customWordsOnly;
+    }
+
+    if (update.scoring !== undefined) {
+        const strategies = Object.keys(SCORING_STRATEGIES);
+        if (!strategies.includes(update.scoring)) {
+            return { error: `scoring must be one of: ${strategies.join(", ")}` };
+        }
+        settings.scoring = update.scoring;
+    }
+
+    if (update.teamMode !== undefined) {
+        const modes = Object.values(TEAM_MODES);
+        if (!modes.includes(update.teamMode)) {
+            return { error: `teamMode must be one of: ${modes.join(", ")}` };
+        }
+        settings.teamMode = update.teamMode;
+    }
+
+    if (update.teams !== undefined) {
+        if (!isIntegerInRange(update.teams, LIMITS.teams)) {
+            return { error: `teams must be between ${LIMITS.teams.min} and ${LIMITS.teams.max}` };
+        }
+        settings.teams = update.teams;
+    }
+
+    // Custom-only games need enough words to fill a word offer
+    if (settings.customWordsOnly && settings.customWords.length < WORD_OPTION_COUNT) {
+        return { error: `customWordsOnly needs at least ${WORD_OPTION_COUNT} custom words` };
+    }
+
+    return { settings };
+};
+
+// Word bank options for a room's settings
+const getWordOptionsConfig = (settings) => ({
+    language: settings.language,
+    category: settings.category,
+    customWords: settings.customWords,
+    customWordsOnly: settings.customWordsOnly
+});
+
+module.exports = {
+    LIMITS,
+    DEFAULT_SETTINGS,
+    createSettings,
+    validateSettings,
+    getWordOptionsConfig
+};
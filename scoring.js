@@ -0,0 +1,73 @@
+// Scoring strategies for drawing game
+// A strategy prices each correct guess and the drawer's reward at the end of the turn, and explains both
+// with a breakdown clients can show in the turn results. Hosts pick one per room (the "scoring" setting).
+//
+// Strategy interface:
+//   scoreGuess({ position, remainingMs, totalMs, multiplier }) -> { points, breakdown }
+//     position     1 for the first correct guess of the turn, 2 for the second, ...
+//     remainingMs  drawing time left when the guess came in, out of totalMs
+//     multiplier   the word's difficulty multiplier
+//   scoreDrawer({ correctCount, guesserCount, multiplier }) -> { points, breakdown }
+//     called once when the turn ends; guesserCount is how many players could have guessed.
+//     breakdown may be null for strategies that don't reward the drawer
+
+// Position ladder of the original scoring: 1st, 2nd, 3rd, 4th-5th, everyone after
+const CLASSIC_LADDER = [100, 75, 50, 25, 25];
+const CLASSIC_LAST = 10;
+
+// Time-weighted scoring: a base for any correct guess, a bonus for the time left and a small one for the
+// first few guessers, all scaled by difficulty. The drawer earns up to drawerMax when every guesser gets the word.
+const TIMED = {
+    base: 50,
+    timeBonus: 50,
+    positionBonus: [30, 20, 10],
+    drawerMax: 100
+};
+
+// The original position ladder; the drawer earns nothing
+const classic = {
+    scoreGuess: ({ position, multiplier }) => {
+        const base = CLASSIC_LADDER[position - 1] ?? CLASSIC_LAST;
+        return {
+            points: Math.round(base * multiplier),
+            breakdown: { position, base, multiplier }
+        };
+    },
+
+    scoreDrawer: () => ({ points: 0, breakdown: null })
+};
+
+// Position, time remaining and difficulty; the drawer earns a share for every player who guessed
+const timed = {
+    scoreGuess: ({ position, remainingMs, totalMs, multiplier }) => {
+        const timeLeft = totalMs > 0 ? Math.min(1, Math.max(0, remainingMs / totalMs)) : 0;
+        const timeBonus = Math.round(TIMED.timeBonus * timeLeft);
+        const positionBonus = TIMED.positionBonus[position - 1] || 0;
+        return {
+            points: Math.round((TIMED.base + timeBonus + positionBonus) * multiplier),
+            breakdown: { position, base: TIMED.base, timeBonus, positionBonus, multiplier }
+        };
+    },
+
+    scoreDrawer: ({ correctCount, guesserCount, multiplier }) => {
+        const share = guesserCount > 0 ? correctCount / guesserCount : 0;
+        const base = Math.round(TIMED.drawerMax * share);
+        return {
+            points: Math.round(base * multiplier),
+            breakdown: { correctGuessers: correctCount, guessers: guesserCount, base, multiplier }
+        };
+    }
+};
+
+const SCORING_STRATEGIES = { classic, timed };
+
+const DEFAULT_SCORING_STRATEGY = "timed";
+
+// The strategy registered under a name, or the default one
+const getScoringStrategy = (name) => SCORING_STRATEGIES[name] || SCORING_STRATEGIES[DEFAULT_SCORING_STRATEGY];
+
+module.exports = {
+    SCORING_STRATEGIES,
+    DEFAULT_SCORING_STRATEGY,
+    getScoringStrategy
+};
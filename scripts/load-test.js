@@ -0,0 +1,185 @@
+// Load test for the drawing stream
+// For each stream format (segments, batch, binary) connects a drawer and a room of viewers to a running server,
+// has the drawer draw while everyone moves their pointer, and reports what an average viewer received.
+//
+// Usage: node scripts/load-test.js [--url http://localhost:3001] [--clients 8] [--seconds 5]
+//    or: npm run load-test -- --clients 12
+
+const { io } = require("socket.io-client");
+const { STREAM_FORMATS, encodeSegmentBatch } = require("../drawing-stream");
+
+// Pointer samples per second while drawing (a typical display refresh rate)
+const DRAW_HZ = 60;
+
+// Cursor updates per second each client sends
+const CURSOR_HZ = 30;
+
+// How often batching drawers send what they've drawn since the last batch
+const BATCH_INTERVAL_MS = 50;
+
+// Each stroke lasts this long before the drawer lifts the pen
+const STROKE_MS = 1000;
+
+// Time for everyone to join before measuring starts
+const SETTLE_MS = 1000;
+
+const DEFAULTS = {
+    url: "http://localhost:3001",
+    clients: 8,
+    seconds: 5
+};
+
+// Parse --url, --clients and --seconds
+const parseArgs = (argv) => {
+    const options = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, "");
+        if (!(name in DEFAULTS)) throw new Error(`Unknown option ${argv[i]}`);
+        options[name] = typeof DEFAULTS[name] === "number" ? Number(argv[i + 1]) : argv[i + 1];
+    }
+    return options;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Utility: size of an Engine.IO packet's data in bytes
+const packetBytes = (data) => {
+    if (data === undefined) return 0;
+    if (typeof data === "string") return Buffer.byteLength(data);
+    return data.byteLength;
+};
+
+// Connect a client and count the packets and bytes it receives (once `counting` is on)
+const connect = (url, room, userName, stream) => new Promise((resolve, reject) => {
+    const socket = io(url, {
+        transports: ["websocket"],
+        // Viewers watch as spectators so the room's player limit doesn't cap the test
+        query: { room, userName, stream, role: userName === "drawer" ? "player" : "spectator" }
+    });
+    const client = { socket, packets: 0, bytes: 0, counting: false };
+
+    socket.io.on("open", () => {
+        socket.io.engine.on("packet", ({ data }) => {
+            if (!client.counting) return;
+            client.packets++;
+            client.bytes += packetBytes(data);
+        });
+    });
+    socket.on("connect", () => resolve(client));
+    socket.on("connect_error", reject);
+});
+
+// Point `step` of a wobbly circle, so consecutive points are a few pixels apart like real pointer moves
+const pointAt = (step) => {
+    const angle = step / 20;
+    const radius = 200 + 40 * Math.sin(step / 7);
+    return [Math.round((400 + radius * Math.cos(angle)) * 100) / 100, Math.round((300 + radius * Math.sin(angle)) * 100) / 100];
+};
+
+// Draw for `ms`: per-segment drawers send every move, batching drawers send a run of points every BATCH_INTERVAL_MS
+const draw = async (socket, stream, ms) => {
+    const style = { color: "#1a2b3c", width: 4, dpr: 2 };
+    let step = 0;
+    let strokeStarted = Date.now();
+    let run = [...pointAt(step)];
+
+    const sendRun = () => {
+        if (run.length < 4) return;
+        const batch = { points: run, ...style };
+        if (stream === STREAM_FORMATS.BINARY) {
+            socket.emit("segment:bin", encodeSegmentBatch(batch));
+        } else {
+            socket.emit("segment:batch", batch);
+        }
+        run = run.slice(-2); // the next run starts where this one ended
+    };
+
+    const batchTimer = stream === STREAM_FORMATS.SEGMENTS ? null : setInterval(sendRun, BATCH_INTERVAL_MS);
+    const drawTimer = setInterval(() => {
+        const [x0, y0] = pointAt(step);
+        const [x1, y1] = pointAt(++step);
+
+        if (stream === STREAM_FORMATS.SEGMENTS) {
+            socket.emit("segment", { x0, y0, x1, y1, ...style });
+        } else {
+            run.push(x1, y1);
+        }
+
+        // Lift the pen now and then; the next move starts a new stroke
+        if (Date.now() - strokeStarted >= STROKE_MS) {
+            if (stream !== STREAM_FORMATS.SEGMENTS) sendRun();
+            socket.emit("stroke:end");
+            strokeStarted = Date.now();
+            run = [x1, y1];
+        }
+    }, 1000 / DRAW_HZ);
+
+    await sleep(ms);
+    clearInterval(drawTimer);
+    clearInterval(batchTimer);
+};
+
+// Move a client's pointer around for `ms`
+const moveCursor = async (socket, ms) => {
+    let step = Math.floor(Math.random() * 1000);
+    const timer = setInterval(() => {
+        const [x, y] = pointAt(step++);
+        socket.emit("cursor", { x, y });
+    }, 1000 / CURSOR_HZ);
+    await sleep(ms);
+    clearInterval(timer);
+};
+
+// Run one stream format and return what an average viewer received
+const runFormat = async ({ url, clients, seconds }, stream) => {
+    const room = `load-${stream}-${Date.now()}`;
+    const drawer = await connect(url, room, "drawer", stream);
+    const viewers = await Promise.all(Array.from({ length: clients }, (_, i) => connect(url, room, `viewer${i + 1}`, stream)));
+    await sleep(SETTLE_MS);
+
+    viewers.forEach(viewer => {
+        viewer.counting = true;
+    });
+    const ms = seconds * 1000;
+    await Promise.all([
+        draw(drawer.socket, stream, ms),
+        moveCursor(drawer.socket, ms),
+        ...viewers.map(viewer => moveCursor(viewer.socket, ms))
+    ]);
+    await sleep(200); // let the last relays arrive
+
+    [drawer, ...viewers].forEach(client => client.socket.disconnect());
+    return {
+        stream: stream,
+        packets: Math.round(viewers.reduce((total, viewer) => total + viewer.packets, 0) / viewers.length),
+        bytes: Math.round(viewers.reduce((total, viewer) => total + viewer.bytes, 0) / viewers.length)
+    };
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    console.log(`📈 Load test against ${options.url}: 1 drawer + ${options.clients} viewers, ${options.seconds}s per format`);
+
+    const results = [];
+    for (const stream of Object.values(STREAM_FORMATS)) {
+        results.push(await runFormat(options, stream));
+    }
+
+    const baseline = results[0];
+    console.log("\nformat      packets/viewer   KB/viewer   KB/s/viewer   vs segments");
+    results.forEach(({ stream, packets, bytes }) => {
+        const saving = baseline.bytes ? Math.round((1 - bytes / baseline.bytes) * 100) : 0;
+        console.log([
+            stream.padEnd(10),
+            String(packets).padStart(15),
+            (bytes / 1024).toFixed(1).padStart(11),
+            (bytes / 1024 / options.seconds).toFixed(1).padStart(13),
+            (stream === baseline.stream ? "-" : `${saving}% less`).padStart(13)
+        ].join(" "));
+    });
+};
+
+main().catch(error => {
+    console.error("Load test failed:", error.message);
+    process.exit(1);
+});
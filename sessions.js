@@ -0,0 +1,99 @@
+// Player sessions for drawing game
+// Issues the token a client presents to reconnect as the same player, and holds a disconnected
+// player's seat for a grace period before they're removed from the room
+
+const crypto = require("crypto");
+const { readNumber } = require("./config");
+
+// Seconds a disconnected player's seat is held, when a session store doesn't specify its own
+const RECONNECT_GRACE_SECONDS = readNumber("RECONNECT_GRACE_SECONDS", 30, seconds => seconds >= 0);
+
+class SessionStore {
+    constructor({ graceSeconds = RECONNECT_GRACE_SECONDS } = {}) {
+        this.graceMs = graceSeconds * 1000;
+
+        // Sessions by token: Map<token, { userId, room }>
+        this.sessions = new Map();
+
+        // Tokens by user ID: Map<userId, token>
+        this.tokens = new Map();
+
+        // Seats held for disconnected players: Map<userId, { timer, reconnectBy }>
+        this.held = new Map();
+    }
+
+    // Issue a session token for a player in a room (replacing any token they had)
+    issue(userId, room) {
+        this.revoke(userId);
+
+        const token = crypto.randomBytes(24).toString("base64url");
+        this.sessions.set(token, { userId, room });
+        this.tokens.set(userId, token);
+        return token;
+    }
+
+    // Take back a token issued before a restart (see GameEngine.rehydrate)
+    restore(userId, room, token) {
+        this.revoke(userId);
+
+        this.sessions.set(token, { userId, room });
+        this.tokens.set(userId, token);
+    }
+
+    // Look up the player a token belongs to in a room, or null for an unknown token or another room
+    resolve(token, room) {
+        const session = typeof token === "string" ? this.sessions.get(token) : null;
+        return session && session.room === room ? session.userId : null;
+    }
+
+    // The token a player was issued, if they have one
+    getToken(userId) {
+        return this.tokens.get(userId) || null;
+    }
+
+    // Hold a disconnected player's seat; `onExpire()` runs if they don't reconnect in time.
+    // Returns the time they have to reconnect by.
+    hold(userId, onExpire) {
+        this.release(userId);
+
+        const reconnectBy = Date.now() + this.graceMs;
+        const timer = setTimeout(() => {
+            this.held.delete(userId);
+            onExpire();
+        }, this.graceMs);
+        timer.unref?.();
+
+        this.held.set(userId, { timer, reconnectBy });
+        return reconnectBy;
+    }
+
+    isHeld(userId) {
+        return this.held.has(userId);
+    }
+
+    // Stop holding a seat (the player came back). Returns false if it wasn't held.
+    release(userId) {
+        const seat = this.held.get(userId);
+        if (!seat) return false;
+
+        clearTimeout(seat.timer);
+        this.held.delete(userId);
+        return true;
+    }
+
+    // Forget a player's session for good
+    revoke(userId) {
+        this.release(userId);
+
+        const token = this.tokens.get(userId);
+        if (token) {
+            this.sessions.delete(token);
+            this.tokens.delete(userId);
+        }
+    }
+}
+
+module.exports = {
+    RECONNECT_GRACE_SECONDS,
+    SessionStore
+};
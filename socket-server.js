@@ -2,354 +2,369 @@ const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const cors = require("cors");
+const crypto = require("crypto");
+const GameEngine = require("./game-engine");
+const {
+    DIRECTIONS, REPLAY_SPEED, readRecordingHeader, listRecordings, readRecording, exportRecording, parseReplaySpeed,
+    playRecording
+} = require("./game-recorder");
+const { describeRoom } = require("./room-registry");
+const { createSettings, validateSettings } = require("./room-settings");
+const { MAX_PAYLOAD_BYTES } = require("./validation");
+const { setupSocketWorker } = require("./cluster");
 
 const app = express();
 app.use(cors());
+app.use(express.json());
 const server = http.createServer(app);
 
 // Allow from your front-end origin in dev
 const io = new Server(server, {
     cors: { origin: "*", methods: ["GET", "POST"] },
+    maxHttpBufferSize: MAX_PAYLOAD_BYTES
 });
 
-// Track users by room
-const roomUsers = new Map();
+// Game engine shared with the other transports (set when the server starts)
+let engine = null;
 
-// Track game state by room
-const roomGames = new Map();
+// Track replay rooms: Map<room, { recording, events, speed, viewers, player, ended, expiry }>
+const replayRooms = new Map();
 
-// Track correct guessers for current round
-const roomCorrectGuessers = new Map();
+// Seconds a replay room waits for its first viewer before it's dropped
+const REPLAY_JOIN_SECONDS = 60;
 
-// Track timer intervals by room
-const roomTimers = new Map();
+// Random base36 characters after "replay-" in a replay room's name (keeps it well within the room name limit)
+const REPLAY_ID_LENGTH = 8;
 
-// Track turn order by room (user IDs in the order they joined)
-const roomTurnOrder = new Map();
+// Rooms named like this are replays, never games
+const REPLAY_ROOM_PATTERN = new RegExp(`^replay-[0-9a-z]{${REPLAY_ID_LENGTH}}$`);
 
-// Track current turn index by room
-const roomTurnIndex = new Map();
+// Bearer token needed to download recordings (they hold every guess of a game); downloads are off without one
+const RECORDINGS_TOKEN = process.env.RECORDINGS_TOKEN || null;
 
 // Utility: get room from query or default
 const getRoom = (socket) => socket.handshake.query.room || "default";
 
-// Utility: get user info from socket
-const getUserInfo = (socket) => ({
-    id: socket.id,
-    userName: socket.handshake.query.userName || `User ${socket.id.slice(0, 6)}`,
-    joinedAt: new Date().toISOString()
-});
+// Utility: get the session token a returning player presents (handshake auth, or query for simple clients)
+const getSessionToken = (socket) => socket.handshake.auth?.sessionToken || socket.handshake.query.sessionToken;
 
-// Utility: update room users and emit changes
-const updateRoomUsers = (room) => {
-    const users = Array.from(roomUsers.get(room)?.values() || []);
-    io.to(room).emit("users:update", users);
-};
+// Utility: get the password a player presents for a password-protected room
+const getPassword = (socket) => socket.handshake.auth?.password || socket.handshake.query.password;
 
-// Utility: initialize game for room
-const initializeGame = (room) => {
-    if (!roomGames.has(room)) {
-        roomGames.set(room, {
-            currentDrawer: null,
-            currentWord: null,
-            gameStarted: false,
-            turnStartTime: null,
-            timerEndTime: null
-        });
-    }
-    return roomGames.get(room);
-};
+// Utility: get the address a client connects from (password attempts are limited per address)
+const getAddress = (socket) => socket.handshake.address;
 
-// Utility: clear timer for room
-const clearTimer = (room) => {
-    if (roomTimers.has(room)) {
-        clearInterval(roomTimers.get(room));
-        roomTimers.delete(room);
-    }
-    const game = roomGames.get(room);
-    if (game) {
-        game.timerEndTime = null;
-    }
+// Utility: get the role a client joins with ("spectator" to watch; anything else plays)
+const getRole = (socket) => socket.handshake.query.role;
+
+// Utility: send a structured error to one socket
+const emitError = (socket, code, message) => {
+    socket.emit("error", { code, message });
 };
 
-// Utility: start timer for room
-const startTimer = (room, durationSeconds = 60) => {
-    clearTimer(room); // Clear any existing timer
+// Utility: a fresh replay room name, e.g. "replay-k3x9q0zm". In a cluster it's one this worker owns, so viewers
+// on other workers know where the replay runs.
+const createReplayName = () => {
+    let room;
+    do {
+        room = `replay-${Array.from({ length: REPLAY_ID_LENGTH }, () => crypto.randomInt(36).toString(36)).join("")}`;
+    } while (replayRooms.has(room) || !engine.ownsRoom(room));
+    return room;
+};
 
-    const game = roomGames.get(room);
-    if (!game) return;
+// Utility: does a request carry the recordings token?
+const hasRecordingsAccess = (req) => {
+    if (!RECORDINGS_TOKEN) return false;
 
-    game.timerEndTime = Date.now() + durationSeconds * 1000;
+    const presented = Buffer.from(String(req.get("authorization") || "").replace(/^Bearer /, ""));
+    const expected = Buffer.from(RECORDINGS_TOKEN);
+    return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+};
 
-    // Emit initial timer
-    io.to(room).emit("timer:update", {
-        remaining: durationSeconds,
-        total: durationSeconds
-    });
+// Utility: is a recording's game still being played? (Assumed so when the room's owner doesn't answer.)
+const isRecordingInProgress = async (header) => {
+    const answer = await engine.askOwner(header.room, "recording", { room: header.room });
+    return !answer || answer.id === header.id;
+};
 
-    // Set up interval to update timer every second
-    const interval = setInterval(() => {
-        const now = Date.now();
-        const remaining = Math.max(0, Math.ceil((game.timerEndTime - now) / 1000));
+// Utility: set up a replay room for a recording and return its name
+const createReplayRoom = ({ header, events }, speed) => {
+    const room = createReplayName();
+
+    // Viewers see what the whole room saw (older recordings also hold messages sent to one player)
+    const roomEvents = events.filter(line => line.d === DIRECTIONS.OUT && !line.to);
+    const replay = {
+        recording: header.id,
+        events: roomEvents,
+        duration: Math.round((roomEvents.length > 0 ? roomEvents[roomEvents.length - 1].t - roomEvents[0].t : 0) / speed),
+        speed: speed,
+        viewers: 0,
+        player: null,
+        ended: false,
+        expiry: setTimeout(() => replayRooms.delete(room), REPLAY_JOIN_SECONDS * 1000)
+    };
+    replayRooms.set(room, replay);
+
+    console.log(`📼 Replay room ${room} created for recording ${header.id} at ${speed}x`);
+    return room;
+};
 
-        io.to(room).emit("timer:update", {
-            remaining: remaining,
-            total: durationSeconds
+// Utility: count a viewer of a replay room run here and start playback with the first one. Returns the replay's
+// details for the viewer, { ended: true } if it has finished, or undefined if there's no such replay.
+const addReplayViewer = ({ room }) => {
+    const replay = replayRooms.get(room);
+    if (!replay) return undefined;
+    if (replay.ended) return { ended: true };
+
+    clearTimeout(replay.expiry);
+    replay.viewers++;
+
+    if (!replay.player) {
+        replay.player = playRecording(replay.events, {
+            speed: replay.speed,
+            emit: (line) => io.to(room).emit(line.e, ...line.a),
+            onEnd: () => {
+                replay.ended = true;
+                io.to(room).emit("replay:end", { recording: replay.recording });
+            }
         });
+    }
 
-        if (remaining <= 0) {
-            clearTimer(room);
-            // Start new turn when timer ends
-            startNewTurn(room);
-        }
-    }, 1000);
-
-    roomTimers.set(room, interval);
+    return {
+        room: room,
+        recording: replay.recording,
+        speed: replay.speed,
+        duration: replay.duration
+    };
 };
 
-// Utility: start a new turn by picking next drawer in order
-const startNewTurn = (room) => {
-    const users = Array.from(roomUsers.get(room).values());
-    if (users.length === 0) return;
+// Utility: a viewer of a replay room run here left; the room closes with its last viewer
+const removeReplayViewer = ({ room }) => {
+    const replay = replayRooms.get(room);
+    if (!replay) return;
 
-    // Initialize turn order if not exists (order of first joining)
-    if (!roomTurnOrder.has(room)) {
-        roomTurnOrder.set(room, users.map(u => u.id));
-        roomTurnIndex.set(room, 0);
+    replay.viewers--;
+    if (replay.viewers === 0) {
+        replay.player.stop();
+        replayRooms.delete(room);
+        console.log(`📼 Replay room ${room} closed`);
     }
+};
 
-    // Get current turn index, wrap around if needed
-    let currentIndex = roomTurnIndex.get(room) || 0;
-    const turnOrder = roomTurnOrder.get(room);
-
-    // Find the next valid user (still connected)
-    let nextDrawer = null;
-    let attempts = 0;
-    const maxAttempts = users.length;
-
-    while (!nextDrawer && attempts < maxAttempts) {
-        const userId = turnOrder[currentIndex];
-        nextDrawer = users.find(u => u.id === userId);
-
-        if (!nextDrawer) {
-            // User left, skip them
-            currentIndex = (currentIndex + 1) % turnOrder.length;
-            attempts++;
-        } else {
-            // Found valid drawer, update index for next turn
-            roomTurnIndex.set(room, (currentIndex + 1) % turnOrder.length);
-            break;
-        }
-    }
+// Utility: watch a replay room, wherever it runs. In a cluster the worker that created it plays it back, and its
+// room broadcasts reach viewers held by any worker.
+const joinReplay = async (socket, room) => {
+    // Join before playback can start, so the first events reach this viewer too
+    socket.join(room);
 
-    // Fallback to first available user if no valid drawer found
-    if (!nextDrawer) {
-        nextDrawer = users[0];
-        roomTurnIndex.set(room, 1 % users.length);
+    const owned = engine.ownsRoom(room);
+    const [viewer] = owned ? [addReplayViewer({ room })] : await engine.cluster.request("replay:join", { room });
+    if (!viewer || viewer.ended) {
+        emitError(socket, viewer ? "REPLAY_ENDED" : "REPLAY_NOT_FOUND", viewer ? `Replay ${room} has finished` : `No replay ${room}`);
+        socket.disconnect(true);
+        return;
     }
 
-    // Clear any existing timer
-    clearTimer(room);
-
-    const game = initializeGame(room);
-
-    game.currentDrawer = nextDrawer.id;
-    game.currentWord = null;
-    game.gameStarted = true;
-    game.turnStartTime = Date.now();
-
-    // Reset correct guessers for new round
-    roomCorrectGuessers.set(room, new Set());
-
-    // Emit turn start event to all users in room
-    io.to(room).emit("turn:start", {
-        drawer: nextDrawer,
-        turnStartTime: game.turnStartTime
-    });
+    const leave = () => (owned ? removeReplayViewer({ room }) : engine.cluster.request("replay:leave", { room }));
+    if (!socket.connected) {
+        leave(); // Gone while the owner was asked
+        return;
+    }
 
-    console.log(`🎨 New turn started in room ${room}. Drawer: ${nextDrawer.userName} (orderly turn)`);
+    // No game handlers here: anything a viewer sends is ignored
+    socket.emit("replay:info", viewer);
+    socket.on("disconnect", leave);
 };
 
-io.on("connection", (socket) => {
-    const room = getRoom(socket);
-    const userInfo = getUserInfo(socket);
-
-    // Initialize room users if not exists
-    if (!roomUsers.has(room)) {
-        roomUsers.set(room, new Map());
+// Create a room: { name, visibility: "public" | "private", password, settings }. Returns its join code,
+// which clients use as their room. Private rooms aren't listed in the lobby.
+app.post("/rooms", async (req, res) => {
+    const body = req.body || {};
+    const { options, error } = engine.rooms.validate(body);
+    if (error) {
+        res.status(400).json({ error });
+        return;
     }
 
-    // Add user to room
-    const wasEmpty = roomUsers.get(room).size === 0;
-    roomUsers.get(room).set(socket.id, userInfo);
-    socket.join(room);
-
-    // If user joins after game has started, add them to turn order
-    if (roomTurnOrder.has(room) && !wasEmpty) {
-        const turnOrder = roomTurnOrder.get(room);
-        turnOrder.push(socket.id);
+    let settings = null;
+    if (body.settings !== undefined) {
+        const result = validateSettings(body.settings, createSettings());
+        if (result.error) {
+            res.status(400).json({ error: result.error });
+            return;
+        }
+        settings = result.settings;
     }
 
-    console.log(`🔗 User ${userInfo.userName} (${socket.id}) connected to room: ${room}`);
-
-    // Send current users list to the new user
-    socket.emit("users:update", Array.from(roomUsers.get(room).values()));
-
-    // Notify others about new user
-    socket.to(room).emit("user:joined", userInfo);
+    // In a cluster the code is one this worker owns, so the room runs where it was registered
+    const room = await engine.rooms.create(options, {
+        settings,
+        isTaken: (code) => engine.roomUsers.has(code) || !engine.ownsRoom(code)
+    });
+    res.status(201).json({ ...describeRoom(room), ...engine.getRoomSummary(room.code) });
+});
 
+// Lobby: public rooms with their player count, phase and settings
+app.get("/rooms", async (req, res) => {
+    res.json({ rooms: await engine.listLobby() });
+});
 
+// List a room's gallery (turn metadata and image URLs)
+app.get("/rooms/:room/gallery", async (req, res) => {
+    const { room } = req.params;
+    const listing = await engine.askOwner(room, "gallery", { room });
+    if (!listing) {
+        res.status(404).json({ error: `No gallery for room ${room}` });
+        return;
+    }
 
-    // Receive a streamed line segment; broadcast to others in the same room
-    socket.on("segment", (payload) => {
-        // { x0, y0, x1, y1, color, width, dpr }
-        console.log(`🔗 User ${userInfo.userName} sent a segment to room: ${room}`);
-        socket.to(room).emit("segment", payload);
+    res.json({
+        ...listing,
+        turns: listing.turns.map(turn => ({
+            ...turn,
+            url: `/rooms/${encodeURIComponent(room)}/gallery/${turn.turn}.svg`
+        }))
     });
+});
 
-    // Clear canvas for everyone
-    socket.on("clear", () => {
-        socket.to(room).emit("clear");
-    });
+// Serve one turn's drawing as SVG
+app.get("/rooms/:room/gallery/:turn.svg", async (req, res) => {
+    const { room, turn } = req.params;
+    const svg = /^\d+$/.test(turn) ? await engine.askOwner(room, "gallery:svg", { room, turn: Number(turn) }) : null;
+    if (!svg) {
+        res.status(404).json({ error: `No drawing for turn ${turn} in room ${room}` });
+        return;
+    }
 
-    // Optional: broadcast cursor positions so others see your pointer
-    socket.on("cursor", (pos) => {
-        // { x, y }
-        socket.to(room).emit("cursor", { id: socket.id, ...pos });
-    });
+    res.type("image/svg+xml").send(svg);
+});
 
-    // Handle word selection from drawer
-    socket.on("word:select", (word) => {
-        const game = roomGames.get(room);
-        if (!game || game.currentDrawer !== socket.id) {
-            return; // Only current drawer can select word
-        }
+// List recordings of games in public rooms
+app.get("/recordings", (req, res) => {
+    res.json({ recordings: listRecordings() });
+});
 
-        game.currentWord = word;
+// Download a finished recording as newline-delimited JSON (needs RECORDINGS_TOKEN as a bearer token)
+app.get("/recordings/:id", async (req, res) => {
+    if (!hasRecordingsAccess(req)) {
+        res.status(401).json({ error: "Downloading recordings needs the recordings token" });
+        return;
+    }
 
-        // Emit word selected event to all users in room
-        io.to(room).emit("word:selected", {
-            word: word,
-            drawer: userInfo
-        });
+    const header = readRecordingHeader(req.params.id);
+    if (!header) {
+        res.status(404).json({ error: `No recording ${req.params.id}` });
+        return;
+    }
+    if (await isRecordingInProgress(header)) {
+        res.status(409).json({ error: `Recording ${req.params.id} is still in progress` });
+        return;
+    }
 
-        // Start timer when word is selected
-        startTimer(room, 60); // 60 seconds timer
+    res.type("application/x-ndjson");
+    res.send(exportRecording(req.params.id));
+});
 
-        console.log(`📝 Word selected in room ${room}: "${word}" by ${userInfo.userName}`);
-    });
+// Create a replay room for a recording; a normal client joins it (as its room) to watch.
+// Playback starts when the first viewer joins, at ?speed=1 to 16 times real time.
+app.post("/recordings/:id/replay", async (req, res) => {
+    const speed = parseReplaySpeed(req.query.speed);
+    if (speed === null) {
+        res.status(400).json({ error: `speed must be between ${REPLAY_SPEED.min} and ${REPLAY_SPEED.max}` });
+        return;
+    }
 
-    // Handle game start from room creator
-    socket.on("game:start", () => {
-        const game = initializeGame(room);
-        if (game.gameStarted) {
-            return; // Game already started
-        }
+    const recording = readRecording(req.params.id);
+    if (!recording) {
+        res.status(404).json({ error: `No recording ${req.params.id}` });
+        return;
+    }
+    if (await isRecordingInProgress(recording.header)) {
+        res.status(409).json({ error: `Recording ${req.params.id} is still in progress` });
+        return;
+    }
 
-        // Check if user is the room creator (first user)
-        const users = Array.from(roomUsers.get(room).values());
-        const isRoomCreator = users.length > 0 && users[0].id === socket.id;
+    const room = createReplayRoom(recording, speed);
+    const replay = replayRooms.get(room);
+    res.status(201).json({
+        room: room,
+        recording: replay.recording,
+        speed: speed,
+        events: replay.events.length,
+        duration: replay.duration
+    });
+});
 
-        if (!isRoomCreator) {
-            return; // Only room creator can start the game
-        }
+// Turn away connections a room won't accept (wrong password, full, locked, banned) during the handshake;
+// clients get a connect_error whose data is { code, message }
+io.use(async (socket, next) => {
+    const room = getRoom(socket);
+    if (REPLAY_ROOM_PATTERN.test(room)) {
+        next(); // Replays are open to anyone; joinReplay checks the replay exists
+        return;
+    }
 
-        startNewTurn(room);
-        console.log(`🎮 Game started in room ${room} by ${userInfo.userName}`);
+    const denied = await engine.checkRoomAccess(room, {
+        sessionToken: getSessionToken(socket),
+        password: getPassword(socket),
+        role: getRole(socket),
+        address: getAddress(socket)
     });
+    if (denied) {
+        const error = new Error(denied.message);
+        error.data = denied;
+        next(error);
+        return;
+    }
+    next();
+});
 
-    // Handle chat messages
-    socket.on("chat:message", (message) => {
-        console.log(`💬 ${userInfo.userName} in room ${room}: ${message}`);
-
-        const game = roomGames.get(room);
+io.on("connection", (socket) => {
+    const room = getRoom(socket);
 
-        // Check if this is a correct guess during an active game
-        if (game && game.currentWord && game.currentDrawer !== socket.id) {
-            // Check if user already guessed correctly this round
-            if (!roomCorrectGuessers.has(room)) {
-                roomCorrectGuessers.set(room, new Set());
-            }
-            const correctGuessers = roomCorrectGuessers.get(room);
-            if (!correctGuessers.has(socket.id)) {
-                // Check if guess is correct (case insensitive)
-                if (message.toLowerCase().trim() === game.currentWord.toLowerCase()) {
-                    // Add to correct guessers
-                    correctGuessers.add(socket.id);
-
-                    // Calculate points based on position
-                    const guessPosition = correctGuessers.size;
-                    let points = 0;
-                    if (guessPosition === 1) points = 100;
-                    else if (guessPosition === 2) points = 75;
-                    else if (guessPosition === 3) points = 50;
-                    else if (guessPosition <= 5) points = 25;
-                    else points = 10;
-
-                    // Update user points
-                    const user = roomUsers.get(room).get(socket.id);
-                    if (user) {
-                        user.points = (user.points || 0) + points;
-                    }
-
-                    // Broadcast updated user list with new points
-                    updateRoomUsers(room);
-
-                    // Emit correct guess event
-                    io.to(room).emit("guess:correct", {
-                        userName: userInfo.userName,
-                        points: points,
-                        position: guessPosition,
-                        totalCorrect: correctGuessers.size
-                    });
-
-                    // Emit special chat message for correct guess
-                    io.to(room).emit("chat:message", {
-                        id: Date.now() + Math.random(),
-                        userName: userInfo.userName,
-                        message: `🎉 Correct! +${points} points`,
-                        timestamp: Date.now(),
-                        isCorrectGuess: true,
-                        points: points,
-                        position: guessPosition
-                    });
-
-                    console.log(`✅ ${userInfo.userName} guessed correctly in room ${room}! +${points} points (position ${guessPosition})`);
-                    return; // Don't send the original message if it was a correct guess
-                }
-            }
-        }
+    // Replay rooms are watch-only
+    if (REPLAY_ROOM_PATTERN.test(room)) {
+        joinReplay(socket, room);
+        return;
+    }
 
-        // Broadcast the regular chat message to all users in the room
-        io.to(room).emit("chat:message", {
-            id: Date.now() + Math.random(), // Simple unique ID
-            userName: userInfo.userName,
-            message: message,
-            timestamp: Date.now()
-        });
+    const joined = engine.join({
+        id: socket.id,
+        room: room,
+        userName: socket.handshake.query.userName,
+        sessionToken: getSessionToken(socket),
+        password: getPassword(socket),
+        role: getRole(socket),
+        address: getAddress(socket),
+        stream: socket.handshake.query.stream,
+        binaryFrames: true,
+        transport: "socket.io",
+        send: (event, payload) => (payload === undefined ? socket.emit(event) : socket.emit(event, payload)),
+        close: () => socket.disconnect(true)
     });
+    if (!joined) return;
 
+    // Every client event goes to the engine, which ignores anything it doesn't handle
+    socket.onAny((event, payload) => engine.handle(socket.id, event, payload));
 
+    socket.on("disconnect", () => engine.leave(socket.id));
+});
 
-    socket.on("disconnect", () => {
-        // Remove user from room
-        if (roomUsers.has(room)) {
-            const user = roomUsers.get(room).get(socket.id);
-            roomUsers.get(room).delete(socket.id);
-
-            // Clean up empty room
-            if (roomUsers.get(room).size === 0) {
-                roomUsers.delete(room);
-            }
-
-            // Notify others about user leaving
-            socket.to(room).emit("user:left", { id: socket.id });
-            updateRoomUsers(room);
+// Start the Socket.IO (and HTTP) server around a game engine (shared with the other transports). A cluster
+// worker doesn't listen itself: the primary hands it connections (see cluster.js).
+const startSocketServer = (gameEngine = new GameEngine(), port = process.env.PORT || 3001) => {
+    engine = gameEngine;
+    if (engine.cluster) {
+        setupSocketWorker(io);
+        engine.cluster.connect(io, engine);
+        engine.cluster.answer("replay:join", addReplayViewer);
+        engine.cluster.answer("replay:leave", removeReplayViewer);
+        console.log(`✅ Socket.IO server on worker ${engine.cluster.workerIndex}`);
+        return server;
+    }
 
-            console.log(`🔗 User ${user?.userName || socket.id} disconnected from room: ${room}`);
-        }
-    });
-});
+    server.listen(port, () => console.log(`✅ Socket.IO server on :${port}`));
+    return server;
+};
 
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => console.log(`✅ Socket.IO server on :${PORT}`));
+module.exports = startSocketServer;
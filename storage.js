@@ -0,0 +1,149 @@
+// Storage for drawing game
+// Keeps a snapshot of every active room so games survive a server restart. A storage holds one snapshot per room:
+//   load()                all saved snapshots, as an array (read once at startup)
+//   save(room, snapshot)  replace a room's snapshot; returns a promise
+//   remove(room)          forget a room (its last player left); returns a promise
+//
+// FileStorage (the default) writes one JSON file per room to STORAGE_DIR. MemoryStorage (STORAGE=memory) keeps
+// snapshots in this process only, so nothing survives a restart. Snapshots may contain Maps and Sets; both storages
+// encode them the same way.
+
+const fs = require("fs");
+const path = require("path");
+const { readNumber } = require("./config");
+
+const STORAGE_TYPES = {
+    MEMORY: "memory",
+    FILE: "file"
+};
+
+// Where FileStorage writes room snapshots
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, "data");
+
+const SNAPSHOT_EXTENSION = ".json";
+
+const isDelayMs = (ms) => Number.isInteger(ms) && ms >= 0;
+
+// Milliseconds between a room's state changing and its snapshot being saved (changes in between are saved together)
+const SAVE_DELAY_MS = readNumber("STORAGE_SAVE_DELAY_MS", 1000, isDelayMs);
+
+// Milliseconds between a finished stroke and the canvas being checkpointed (when nothing else saves it sooner)
+const CANVAS_SAVE_DELAY_MS = readNumber("STORAGE_CANVAS_SAVE_DELAY_MS", 10000, isDelayMs);
+
+// Utility: a snapshot as JSON, with Maps and Sets tagged so they come back as themselves
+const encodeSnapshot = (snapshot) => JSON.stringify(snapshot, (key, value) => {
+    if (value instanceof Map) return { $map: Array.from(value.entries()) };
+    if (value instanceof Set) return { $set: Array.from(value) };
+    return value;
+});
+
+// Utility: read a snapshot written by encodeSnapshot
+const decodeSnapshot = (text) => JSON.parse(text, (key, value) => {
+    if (value && typeof value === "object" && Array.isArray(value.$map)) return new Map(value.$map);
+    if (value && typeof value === "object" && Array.isArray(value.$set)) return new Set(value.$set);
+    return value;
+});
+
+// Utility: turn a room name into a safe file name (different rooms never share one)
+const toFileName = (room) => `${encodeURIComponent(room)}${SNAPSHOT_EXTENSION}`;
+
+class MemoryStorage {
+    constructor() {
+        // Encoded snapshots by room, so a saved snapshot never shares objects with live state: Map<room, string>
+        this.snapshots = new Map();
+    }
+
+    load() {
+        return Array.from(this.snapshots.values()).map(decodeSnapshot);
+    }
+
+    async save(room, snapshot) {
+        this.snapshots.set(room, encodeSnapshot(snapshot));
+    }
+
+    async remove(room) {
+        this.snapshots.delete(room);
+    }
+
+    // Where snapshots go, for the startup log
+    describe() {
+        return "in memory (lost on restart)";
+    }
+}
+
+class FileStorage {
+    constructor({ dir = STORAGE_DIR } = {}) {
+        this.dir = dir;
+
+        // Each room's latest pending write or removal, so they land in the order they were made: Map<room, Promise>
+        this.pending = new Map();
+    }
+
+    // Utility: run a file operation for a room once the room's earlier ones are done (whether or not they worked)
+    queue(room, operation) {
+        const done = (this.pending.get(room) || Promise.resolve()).catch(() => {}).then(operation);
+        this.pending.set(room, done);
+        done.catch(() => {}).then(() => {
+            if (this.pending.get(room) === done) this.pending.delete(room);
+        });
+        return done;
+    }
+
+    // Read every snapshot in the directory; unreadable files are skipped
+    load() {
+        if (!fs.existsSync(this.dir)) return [];
+
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith(SNAPSHOT_EXTENSION))
+            .map(file => {
+                try {
+                    return decodeSnapshot(fs.readFileSync(path.join(this.dir, file), "utf8"));
+                } catch (error) {
+                    console.error(`Error reading room snapshot ${file}:`, error.message);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    // Write to a temporary file first, so a crash mid-write never leaves a half-written snapshot. The snapshot is
+    // encoded straight away; the room may have moved on by the time it's written.
+    save(room, snapshot) {
+        const file = path.join(this.dir, toFileName(room));
+        const text = encodeSnapshot(snapshot);
+
+        return this.queue(room, async () => {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            await fs.promises.writeFile(`${file}.tmp`, text);
+            await fs.promises.rename(`${file}.tmp`, file);
+        });
+    }
+
+    remove(room) {
+        return this.queue(room, () => fs.promises.rm(path.join(this.dir, toFileName(room)), { force: true }));
+    }
+
+    // Where snapshots go, for the startup log
+    describe() {
+        return `to ${this.dir}`;
+    }
+}
+
+// Create the storage for a type (STORAGE_TYPES); throws for an unknown type
+const createStorage = (type = process.env.STORAGE || STORAGE_TYPES.FILE) => {
+    if (type === STORAGE_TYPES.MEMORY) return new MemoryStorage();
+    if (type === STORAGE_TYPES.FILE) return new FileStorage();
+    throw new Error(`Unknown storage "${type}" (expected one of: ${Object.values(STORAGE_TYPES).join(", ")})`);
+};
+
+module.exports = {
+    STORAGE_TYPES,
+    STORAGE_DIR,
+    SAVE_DELAY_MS,
+    CANVAS_SAVE_DELAY_MS,
+    encodeSnapshot,
+    decodeSnapshot,
+    MemoryStorage,
+    FileStorage,
+    createStorage
+};
@@ -0,0 +1,254 @@
+// Stroke log for drawing game
+// Keeps what has been drawn this turn, grouped into strokes, so late joiners can
+// rebuild the canvas and drawers can undo/redo whole strokes
+
+const { getOpPointCount, isContinuousOp } = require("./drawing-ops");
+
+// Limits that keep one turn's log bounded (a drawing operation counts as one segment)
+const MAX_SEGMENTS = 10000;
+const MAX_POINTS = 20000;
+
+// Each segment is a line between two points
+const POINTS_PER_SEGMENT = 2;
+
+// Utility: size of a stroke in segments and points
+const measureStroke = (stroke) => ({
+    segments: stroke.segments.length + stroke.ops.length,
+    points: stroke.segments.length * POINTS_PER_SEGMENT +
+        stroke.ops.reduce((total, op) => total + getOpPointCount(op), 0)
+});
+
+// A stroke as clients see it, without the log's bookkeeping and sharing nothing with the live log
+const toPublicStroke = (stroke) => ({
+    id: stroke.id,
+    userId: stroke.userId,
+    segments: stroke.segments.map(segment => ({ ...segment })),
+    ops: stroke.ops.map(op => ({ ...op }))
+});
+
+// Utility: an entry as clients see it (see toPublicStroke)
+const toPublicEntry = (entry) => (entry.type === "stroke" ? { type: "stroke", stroke: toPublicStroke(entry.stroke) } : { ...entry });
+
+class StrokeLog {
+    constructor({ maxSegments = MAX_SEGMENTS, maxPoints = MAX_POINTS } = {}) {
+        this.maxSegments = maxSegments;
+        this.maxPoints = maxPoints;
+
+        // Stroke IDs keep counting across turns so a stale ID never matches a new stroke
+        this.nextStrokeId = 1;
+
+        this.reset();
+    }
+
+    // Start an empty log (new turn)
+    reset() {
+        this.entries = [];
+        this.segmentCount = 0;
+        this.pointCount = 0;
+        this.truncated = false;
+
+        // Open stroke per user: Map<userId, stroke>
+        this.openStrokes = new Map();
+
+        // Undone strokes per user, most recent last: Map<userId, stroke[]>
+        this.redoStacks = new Map();
+    }
+
+    // Utility: would adding this much go over the limits?
+    exceedsLimits(segments, points) {
+        return this.segmentCount + segments > this.maxSegments || this.pointCount + points > this.maxPoints;
+    }
+
+    // Begin a new stroke for a user (closing any stroke they left open)
+    beginStroke(userId, { implicit = false } = {}) {
+        this.endStroke(userId);
+
+        const stroke = {
+            id: `s${this.nextStrokeId++}`,
+            userId: userId,
+            ended: false,
+            implicit: implicit,
+            segments: [],
+            ops: []
+        };
+        this.entries.push({ type: "stroke", stroke });
+        this.openStrokes.set(userId, stroke);
+
+        // Drawing something new drops the redo history
+        this.redoStacks.delete(userId);
+
+        return stroke;
+    }
+
+    // End a user's open stroke; returns it, or null if none was open. A stroke with nothing drawn in it is
+    // dropped from the log: it wouldn't count toward the limits, so begins alone could grow the log without end.
+    endStroke(userId) {
+        const stroke = this.openStrokes.get(userId);
+        if (!stroke) return null;
+
+        stroke.ended = true;
+        this.openStrokes.delete(userId);
+        if (stroke.segments.length === 0 && stroke.ops.length === 0) {
+            this.dropEntry(stroke);
+        }
+        return stroke;
+    }
+
+    // Utility: remove a stroke's entry (searching from the end, where recent strokes are)
+    dropEntry(stroke) {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            if (this.entries[i].stroke === stroke) {
+                this.entries.splice(i, 1);
+                return;
+            }
+        }
+    }
+
+    // Utility: get the user's open stroke for a continuous move, starting one if needed.
+    // Clients that never send stroke markers get strokes started for them whenever a move
+    // doesn't continue from the previous one.
+    continueStroke(userId, move) {
+        const stroke = this.openStrokes.get(userId);
+        if (stroke && !(stroke.implicit && !this.continuesStroke(stroke, move))) {
+            return { stroke, started: false };
+        }
+        return { stroke: this.beginStroke(userId, { implicit: true }), started: true };
+    }
+
+    // Utility: does the move start where the stroke's last move ended?
+    continuesStroke(stroke, move) {
+        const moves = stroke.segments.length > 0 ? stroke.segments : stroke.ops;
+        const last = moves[moves.length - 1];
+        return !last || (last.x1 === move.x0 && last.y1 === move.y0);
+    }
+
+    // Record a segment into the user's open stroke.
+    // Returns { stroke, started }, or null once the log is full.
+    addSegment(userId, segment) {
+        if (this.exceedsLimits(1, POINTS_PER_SEGMENT)) {
+            this.truncated = true;
+            return null;
+        }
+
+        const result = this.continueStroke(userId, segment);
+        result.stroke.segments.push({ ...segment });
+        this.segmentCount++;
+        this.pointCount += POINTS_PER_SEGMENT;
+        return result;
+    }
+
+    // Record a validated drawing operation the same way as segments. Brush and eraser moves
+    // join the user's open stroke; fills and shapes are complete strokes of their own.
+    // Returns { stroke, started }, or null once the log is full.
+    addOp(userId, op) {
+        const points = getOpPointCount(op);
+        if (this.exceedsLimits(1, points)) {
+            this.truncated = true;
+            return null;
+        }
+
+        const result = isContinuousOp(op)
+            ? this.continueStroke(userId, op)
+            : { stroke: this.beginStroke(userId), started: true };
+
+        result.stroke.ops.push({ ...op });
+        this.segmentCount++;
+        this.pointCount += points;
+
+        if (!isContinuousOp(op)) {
+            this.endStroke(userId);
+        }
+        return result;
+    }
+
+    // Undo a user's most recent stroke; returns it, or null if there is nothing to undo
+    undo(userId) {
+        let index = -1;
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            if (entry.type === "stroke" && entry.stroke.userId === userId) {
+                index = i;
+                break;
+            }
+        }
+        if (index === -1) return null;
+
+        const [{ stroke }] = this.entries.splice(index, 1);
+        if (this.openStrokes.get(userId) === stroke) {
+            this.endStroke(userId);
+        }
+        const { segments, points } = measureStroke(stroke);
+        this.segmentCount -= segments;
+        this.pointCount -= points;
+
+        if (!this.redoStacks.has(userId)) {
+            this.redoStacks.set(userId, []);
+        }
+        this.redoStacks.get(userId).push(stroke);
+        return stroke;
+    }
+
+    // Redo a user's most recently undone stroke; returns it, or null if there is nothing to redo
+    redo(userId) {
+        const stack = this.redoStacks.get(userId);
+        if (!stack || stack.length === 0) return null;
+
+        const stroke = stack[stack.length - 1];
+        const { segments, points } = measureStroke(stroke);
+        if (this.exceedsLimits(segments, points)) {
+            return null;
+        }
+
+        stack.pop();
+        this.entries.push({ type: "stroke", stroke });
+        this.segmentCount += segments;
+        this.pointCount += points;
+        return stroke;
+    }
+
+    // Record a clear; nothing drawn before it can show again, so drop it (clears can't be undone)
+    clear() {
+        this.reset();
+        this.entries.push({ type: "clear" });
+    }
+
+    // Snapshot sent to a new connection so it can replay the drawing
+    snapshot() {
+        return {
+            entries: this.entries.map(toPublicEntry),
+            truncated: this.truncated
+        };
+    }
+
+    // Everything needed to rebuild the log later (see restore); undo history isn't kept
+    getState() {
+        return {
+            entries: this.entries.map(toPublicEntry),
+            truncated: this.truncated,
+            nextStrokeId: this.nextStrokeId
+        };
+    }
+
+    // Rebuild the log from a saved state. Strokes left open are closed; the next move starts a new one.
+    restore({ entries = [], truncated = false, nextStrokeId = 1 }) {
+        this.reset();
+        this.entries = entries.map(entry => (entry.type === "stroke"
+            ? { type: "stroke", stroke: { ...entry.stroke, ended: true, implicit: false } }
+            : entry));
+        this.truncated = truncated;
+        this.nextStrokeId = Math.max(this.nextStrokeId, nextStrokeId);
+
+        this.entries.filter(entry => entry.type === "stroke").forEach(({ stroke }) => {
+            const { segments, points } = measureStroke(stroke);
+            this.segmentCount += segments;
+            this.pointCount += points;
+        });
+    }
+}
+
+module.exports = {
+    MAX_SEGMENTS,
+    MAX_POINTS,
+    toPublicStroke,
+    StrokeLog
+};
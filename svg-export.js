@@ -0,0 +1,204 @@
+// SVG export for drawing game
+// Renders a turn's stroke log into a standalone SVG image tagged with the word, drawer and guessers
+
+const { TOOLS } = require("./drawing-ops");
+
+// Canvas area always included in the image; drawings that go past it grow the view box
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 600;
+const BACKGROUND_COLOR = "#ffffff";
+
+// Defaults for segments sent without a color or width
+const DEFAULT_COLOR = "#000000";
+const DEFAULT_WIDTH = 2;
+
+// How brush styles map onto SVG line caps
+const LINE_CAPS = {
+    round: "round",
+    square: "square",
+    marker: "butt"
+};
+
+const escapeXml = (value) => String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// Utility: format numbers compactly
+const num = (value) => Number(Number(value).toFixed(2));
+
+// Utility: build an element from an attribute object, skipping unset attributes
+const element = (name, attributes) => {
+    const rendered = Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+        .join(" ");
+    return `<${name} ${rendered}/>`;
+};
+
+// Utility: normalized bounding box of a shape's two corners
+const getBox = (shape) => ({
+    x: Math.min(shape.x0, shape.x1),
+    y: Math.min(shape.y0, shape.y1),
+    width: Math.abs(shape.x1 - shape.x0),
+    height: Math.abs(shape.y1 - shape.y0)
+});
+
+// Utility: is a point inside a rect or ellipse?
+const shapeContains = (shape, x, y) => {
+    const box = getBox(shape);
+    if (shape.tool === TOOLS.RECT) {
+        return x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+    }
+    const rx = box.width / 2;
+    const ry = box.height / 2;
+    if (rx === 0 || ry === 0) return false;
+    const dx = (x - (box.x + rx)) / rx;
+    const dy = (y - (box.y + ry)) / ry;
+    return dx * dx + dy * dy <= 1;
+};
+
+// Utility: render a line between two points
+const renderLine = (move, { color, width, cap = "round", opacity }) => element("line", {
+    x1: num(move.x0),
+    y1: num(move.y0),
+    x2: num(move.x1),
+    y2: num(move.y1),
+    stroke: color,
+    "stroke-width": num(width),
+    "stroke-linecap": cap,
+    "stroke-opacity": opacity !== undefined && opacity < 1 ? opacity : undefined
+});
+
+// Utility: render a rect or ellipse with an optional outline and fill
+const renderShape = (shape, fillColor) => {
+    const box = getBox(shape);
+    const paint = {
+        fill: fillColor || "none",
+        stroke: shape.outline ? shape.color : "none",
+        "stroke-width": shape.outline ? num(shape.width) : undefined
+    };
+
+    if (shape.tool === TOOLS.RECT) {
+        return element("rect", { x: num(box.x), y: num(box.y), width: num(box.width), height: num(box.height), ...paint });
+    }
+    return element("ellipse", {
+        cx: num(box.x + box.width / 2),
+        cy: num(box.y + box.height / 2),
+        rx: num(box.width / 2),
+        ry: num(box.height / 2),
+        ...paint
+    });
+};
+
+// Render one drawing operation. Fills can't be flood-filled without pixels, so a fill inside
+// a rect or ellipse fills the topmost such shape, and any other fill recolors the background.
+const renderOp = (op, shapes, canvas) => {
+    switch (op.tool) {
+        case TOOLS.BRUSH:
+            return renderLine(op, { color: op.color, width: op.width, cap: LINE_CAPS[op.style], opacity: op.opacity });
+        case TOOLS.ERASER:
+            return renderLine(op, { color: canvas.background, width: op.width, cap: LINE_CAPS[op.style] });
+        case TOOLS.LINE:
+            return renderLine(op, { color: op.color, width: op.width });
+        case TOOLS.RECT:
+        case TOOLS.ELLIPSE:
+            shapes.push(op);
+            return renderShape(op, op.fillColor);
+        case TOOLS.FILL: {
+            const target = [...shapes].reverse().find(shape => shapeContains(shape, op.x, op.y));
+            if (target) {
+                return renderShape(target, op.color); // Redraw the outline over the new fill
+            }
+            canvas.background = op.color;
+            return "";
+        }
+        default:
+            return "";
+    }
+};
+
+// Utility: grow a bounding box to include a stroke's geometry
+const extendBounds = (bounds, stroke) => {
+    const include = (x, y, pad = 0) => {
+        bounds.minX = Math.min(bounds.minX, x - pad);
+        bounds.minY = Math.min(bounds.minY, y - pad);
+        bounds.maxX = Math.max(bounds.maxX, x + pad);
+        bounds.maxY = Math.max(bounds.maxY, y + pad);
+    };
+
+    [...(stroke.segments || []), ...(stroke.ops || [])].forEach(move => {
+        if (move.tool === TOOLS.FILL) {
+            include(move.x, move.y);
+            return;
+        }
+        const pad = (move.width || DEFAULT_WIDTH) / 2;
+        include(move.x0, move.y0, pad);
+        include(move.x1, move.y1, pad);
+    });
+};
+
+// Render a turn's stroke log entries (as in StrokeLog.snapshot()) into an SVG document.
+// `meta` tags the image: { word, drawer: { id, userName }, guessers: [{ id, userName }], round }
+const renderTurnSvg = (entries, meta = {}) => {
+    const canvas = { background: BACKGROUND_COLOR };
+    const bounds = { minX: 0, minY: 0, maxX: CANVAS_WIDTH, maxY: CANVAS_HEIGHT };
+    const shapes = [];
+    const body = [];
+
+    entries.forEach(entry => {
+        if (entry.type === "clear") {
+            body.length = 0;
+            shapes.length = 0;
+            canvas.background = BACKGROUND_COLOR;
+            return;
+        }
+        if (entry.type !== "stroke") return;
+
+        const { stroke } = entry;
+        extendBounds(bounds, stroke);
+
+        const parts = [
+            ...stroke.segments.map(segment => renderLine(segment, {
+                color: segment.color || DEFAULT_COLOR,
+                width: segment.width || DEFAULT_WIDTH
+            })),
+            ...(stroke.ops || []).map(op => renderOp(op, shapes, canvas))
+        ].filter(Boolean);
+
+        if (parts.length > 0) {
+            body.push(`  <g data-stroke="${escapeXml(stroke.id)}">${parts.join("")}</g>`);
+        }
+    });
+
+    const width = num(bounds.maxX - bounds.minX);
+    const height = num(bounds.maxY - bounds.minY);
+    const drawerName = meta.drawer?.userName || meta.drawer?.id || "unknown";
+    const guessers = meta.guessers || [];
+    const title = `"${meta.word || "?"}" drawn by ${drawerName}`;
+    const description = guessers.length > 0
+        ? `Guessed by ${guessers.map(guesser => guesser.userName || guesser.id).join(", ")}`
+        : "Nobody guessed the word";
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${num(bounds.minX)} ${num(bounds.minY)} ${width} ${height}"` +
+            ` data-word="${escapeXml(meta.word)}" data-drawer="${escapeXml(drawerName)}"` +
+            ` data-guessers="${escapeXml(guessers.map(guesser => guesser.userName || guesser.id).join(","))}">`,
+        `  <title>${escapeXml(title)}</title>`,
+        `  <desc>${escapeXml(description)}</desc>`,
+        `  ${element("rect", { x: num(bounds.minX), y: num(bounds.minY), width, height, fill: canvas.background })}`,
+        ...body,
+        "</svg>",
+        ""
+    ].join("\n");
+};
+
+module.exports = {
+    CANVAS_WIDTH,
+    CANVAS_HEIGHT,
+    BACKGROUND_COLOR,
+    renderTurnSvg
+};
@@ -0,0 +1,68 @@
+// Teams for drawing game
+// In team mode players are split into teams that take turns drawing. With "teammates" scoring only the
+// drawer's team can guess for points; with "steal" any team can race them to the word.
+
+const TEAM_MODES = {
+    OFF: "off",
+    TEAMMATES: "teammates",
+    STEAL: "steal"
+};
+
+// Team IDs in play order; a room uses the first `teams` of them
+const TEAM_IDS = ["red", "blue", "green", "yellow"];
+
+const DEFAULT_TEAM_COUNT = 2;
+
+// Teams in play for a team count
+const getTeams = (count) => TEAM_IDS.slice(0, count);
+
+// Utility: the team with the fewest players (the first listed on a tie), to keep teams balanced
+const pickTeam = (teams, players) => {
+    const sizes = teams.map(team => players.filter(player => player.team === team).length);
+    return teams[sizes.indexOf(Math.min(...sizes))];
+};
+
+// Pick the next drawer from candidates (in turn order), starting with the team after `lastTeam` so teams
+// alternate. Falls back to the first candidate when no team has anyone left to draw.
+const pickTeamDrawer = (candidates, teams, lastTeam) => {
+    const start = teams.indexOf(lastTeam) + 1;
+    for (let i = 0; i < teams.length; i++) {
+        const team = teams[(start + i) % teams.length];
+        const drawer = candidates.find(candidate => candidate.team === team);
+        if (drawer) return drawer;
+    }
+    return candidates[0] || null;
+};
+
+// Team totals with their members: [{ team, points, members }]
+const buildTeamScores = (teams, teamPoints, players) => teams.map(team => ({
+    team: team,
+    points: teamPoints.get(team) || 0,
+    members: players.filter(player => player.team === team).map(player => player.id)
+}));
+
+// Rank team totals by points; teams on equal points share a rank (1, 1, 3, ...)
+const rankTeams = (teamScores) => {
+    const sorted = [...teamScores].sort((a, b) => b.points - a.points);
+
+    let rank = 0;
+    let previousPoints = null;
+    return sorted.map((teamScore, index) => {
+        if (teamScore.points !== previousPoints) {
+            rank = index + 1;
+            previousPoints = teamScore.points;
+        }
+        return { rank, ...teamScore };
+    });
+};
+
+module.exports = {
+    TEAM_MODES,
+    TEAM_IDS,
+    DEFAULT_TEAM_COUNT,
+    getTeams,
+    pickTeam,
+    pickTeamDrawer,
+    buildTeamScores,
+    rankTeams
+};
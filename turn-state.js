@@ -0,0 +1,244 @@
+// Turn state machine for drawing game
+// Owns the phase of a room's current turn and the single timer driving it:
+// waiting -> choosing -> drawing -> reveal -> intermission -> (next turn)
+
+const { EventEmitter } = require("events");
+
+const PHASES = {
+    WAITING: "waiting",
+    CHOOSING: "choosing",
+    DRAWING: "drawing",
+    REVEAL: "reveal",
+    INTERMISSION: "intermission"
+};
+
+// Why a turn ended
+const END_REASONS = {
+    TIME_UP: "time_up",
+    ALL_GUESSED: "all_guessed",
+    DRAWER_LEFT: "drawer_left",
+    SKIPPED: "skipped",
+    NOT_ENOUGH_PLAYERS: "not_enough_players"
+};
+
+// Why a countdown was paused or resumed
+const PAUSE_REASONS = {
+    DRAWER_DISCONNECTED: "drawer_disconnected",
+    DRAWER_RECONNECTED: "drawer_reconnected"
+};
+
+// Rounds in a game (every player draws once per round)
+const DEFAULT_ROUNDS = 3;
+
+// Default phase lengths in seconds
+const CHOOSING_SECONDS = 15;
+const REVEAL_SECONDS = 5;
+const INTERMISSION_SECONDS = 3;
+
+// Events:
+//   "phase"          { phase, duration, endsAt }  whenever the phase changes
+//   "tick"           { remaining, total }         every second while drawing (and once at the start)
+//   "choose:timeout"                              the drawer didn't pick a word in time
+//   "turn:end"       reason                       the turn ended and the reveal started
+//   "next"                                        intermission is over, start the next turn
+//   "pause"          { phase, remaining, reason }  the choosing or drawing countdown was paused
+//   "resume"         { phase, remaining, endsAt, reason }  ...and picked up again where it stopped
+class TurnStateMachine extends EventEmitter {
+    constructor({
+        choosingSeconds = CHOOSING_SECONDS,
+        revealSeconds = REVEAL_SECONDS,
+        intermissionSeconds = INTERMISSION_SECONDS
+    } = {}) {
+        super();
+        this.choosingSeconds = choosingSeconds;
+        this.revealSeconds = revealSeconds;
+        this.intermissionSeconds = intermissionSeconds;
+
+        this.phase = PHASES.WAITING;
+        this.endsAt = null;
+        this.timer = null;
+
+        // Set while the countdown is paused: { remainingMs, reason }
+        this.paused = null;
+
+        // Length of the current drawing phase, for ticks
+        this.drawingTotal = null;
+    }
+
+    // Clear whatever timer the current phase is running
+    clearTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Move to a phase, optionally lasting `seconds`
+    setPhase(phase, seconds = null) {
+        this.clearTimer();
+        this.paused = null;
+        this.phase = phase;
+        this.endsAt = seconds ? Date.now() + seconds * 1000 : null;
+        this.emit("phase", { phase, duration: seconds, endsAt: this.endsAt });
+    }
+
+    // Seconds left in the current phase
+    getRemaining() {
+        if (this.paused) return Math.ceil(this.paused.remainingMs / 1000);
+        if (!this.endsAt) return 0;
+        return Math.max(0, Math.ceil((this.endsAt - Date.now()) / 1000));
+    }
+
+    isTurnActive() {
+        return this.phase === PHASES.CHOOSING || this.phase === PHASES.DRAWING;
+    }
+
+    isPaused() {
+        return this.paused !== null;
+    }
+
+    // Drawer is picking a word
+    startChoosing() {
+        this.setPhase(PHASES.CHOOSING, this.choosingSeconds);
+        this.runChoosingTimer(this.choosingSeconds * 1000);
+    }
+
+    // Word is chosen; count down the drawing time
+    startDrawing(durationSeconds) {
+        this.setPhase(PHASES.DRAWING, durationSeconds);
+        this.drawingTotal = durationSeconds;
+        this.emit("tick", { remaining: durationSeconds, total: durationSeconds });
+        this.runDrawingTimer();
+    }
+
+    // Utility: time out the choosing phase after `ms`
+    runChoosingTimer(ms) {
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.emit("choose:timeout");
+        }, ms);
+    }
+
+    // Utility: tick every second until the drawing phase's end time
+    runDrawingTimer() {
+        this.timer = setInterval(() => {
+            const remaining = this.getRemaining();
+            this.emit("tick", { remaining, total: this.drawingTotal });
+
+            if (remaining <= 0) {
+                this.endTurn(END_REASONS.TIME_UP);
+            }
+        }, 1000);
+    }
+
+    // Freeze the choosing or drawing countdown. Returns false if there was nothing to pause.
+    pause(reason) {
+        if (!this.isTurnActive() || this.isPaused()) return false;
+
+        this.clearTimer();
+        this.paused = { remainingMs: Math.max(0, this.endsAt - Date.now()), reason };
+        this.endsAt = null;
+        this.emit("pause", { phase: this.phase, remaining: this.getRemaining(), reason });
+        return true;
+    }
+
+    // Pick a paused countdown up where it stopped. Returns false if it wasn't paused.
+    resume(reason) {
+        if (!this.isPaused()) return false;
+
+        const { remainingMs } = this.paused;
+        this.paused = null;
+        this.endsAt = Date.now() + remainingMs;
+        this.emit("resume", { phase: this.phase, remaining: this.getRemaining(), endsAt: this.endsAt, reason });
+
+        if (this.phase === PHASES.CHOOSING) {
+            this.runChoosingTimer(remainingMs);
+        } else {
+            this.runDrawingTimer();
+        }
+        return true;
+    }
+
+    // End the current turn, show the reveal, then pause before the next turn.
+    // Returns false if no turn was in progress.
+    endTurn(reason) {
+        if (!this.isTurnActive()) return false;
+
+        this.setPhase(PHASES.REVEAL, this.revealSeconds);
+        this.emit("turn:end", reason);
+
+        // A listener may have stopped the machine (e.g. the game ended)
+        if (this.phase !== PHASES.REVEAL) return true;
+
+        this.runRevealTimer(this.revealSeconds * 1000);
+        return true;
+    }
+
+    // Utility: show the reveal for `ms`, then the intermission
+    runRevealTimer(ms) {
+        this.timer = setTimeout(() => {
+            this.setPhase(PHASES.INTERMISSION, this.intermissionSeconds);
+            this.runIntermissionTimer(this.intermissionSeconds * 1000);
+        }, ms);
+    }
+
+    // Utility: wait out the intermission for `ms`, then ask for the next turn
+    runIntermissionTimer(ms) {
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.emit("next");
+        }, ms);
+    }
+
+    // Everything needed to pick the machine up again later (see restore)
+    getState() {
+        return {
+            phase: this.phase,
+            endsAt: this.endsAt,
+            paused: this.paused,
+            drawingTotal: this.drawingTotal
+        };
+    }
+
+    // Pick up a saved state: the phase carries on until its saved end time rather than starting over (a phase
+    // that ended meanwhile finishes right away), and a paused countdown stays paused. No "phase" event is emitted.
+    restore({ phase, endsAt = null, paused = null, drawingTotal = null }) {
+        this.clearTimer();
+        this.phase = phase;
+        this.endsAt = endsAt;
+        this.paused = paused;
+        this.drawingTotal = drawingTotal;
+        if (paused || phase === PHASES.WAITING) return;
+
+        const remainingMs = Math.max(0, (endsAt || 0) - Date.now());
+        if (phase === PHASES.CHOOSING) {
+            this.runChoosingTimer(remainingMs);
+        } else if (phase === PHASES.DRAWING) {
+            this.runDrawingTimer();
+        } else if (phase === PHASES.REVEAL) {
+            this.runRevealTimer(remainingMs);
+        } else if (phase === PHASES.INTERMISSION) {
+            this.runIntermissionTimer(remainingMs);
+        }
+    }
+
+    // Stop all timers and go back to waiting
+    stop() {
+        this.clearTimer();
+        if (this.phase !== PHASES.WAITING) {
+            this.setPhase(PHASES.WAITING);
+        }
+    }
+}
+
+module.exports = {
+    PHASES,
+    END_REASONS,
+    PAUSE_REASONS,
+    DEFAULT_ROUNDS,
+    CHOOSING_SECONDS,
+    REVEAL_SECONDS,
+    INTERMISSION_SECONDS,
+    TurnStateMachine
+};
@@ -0,0 +1,108 @@
+// Input validation for drawing game
+// Checks every client event's payload before the engine sees it (whatever the transport), and cleans up
+// the user name and room a connection joins with. Drawing payloads get their detailed checks in drawing-ops.js.
+
+const { LIMITS: DRAWING_LIMITS } = require("./drawing-ops");
+const { decodeSegmentBatch } = require("./drawing-stream");
+
+// Largest single message a client may send on any transport (a segment batch or settings update fits easily)
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+const LIMITS = {
+    userName: { max: 24 },
+    room: { max: 32 },
+    chat: { max: 200 },
+    id: { max: 64 },
+    name: { max: 16 } // roles and team IDs
+};
+
+// Room names: letters, digits, "_" and "-"
+const ROOM_PATTERN = /^[\w-]+$/;
+
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const isShortString = (value, { max }) => typeof value === "string" && value.length > 0 && value.length <= max;
+const isCoordinate = (value) => typeof value === "number" && Number.isFinite(value) && Math.abs(value) <= DRAWING_LIMITS.coordinate;
+
+// Utility: a rule for payloads that are a short string, like a user ID
+const shortString = (field, limit) => (value) => (isShortString(value, limit)
+    ? { payload: value }
+    : { error: `${field} must be a string of 1-${limit.max} characters` });
+
+// Utility: a rule for events whose payload is ignored; it's dropped so handlers never see it
+const noPayload = () => ({ payload: undefined });
+
+// Utility: a rule for payloads that must be an object (checked in detail by their handler)
+const object = (field) => (value) => (isObject(value) ? { payload: value } : { error: `${field} must be an object` });
+
+// Payload rules per client event: each returns { payload } (cleaned up) or { error }
+const EVENT_RULES = {
+    "segment": object("Segment"),
+    "segment:batch": object("Segment batch"),
+    "segment:bin": (value) => {
+        if (!Buffer.isBuffer(value) && !(value instanceof ArrayBuffer) && !ArrayBuffer.isView(value)) {
+            return { error: "Binary segment batch must be a binary frame" };
+        }
+        const { batch, error } = decodeSegmentBatch(value);
+        return error ? { error } : { payload: batch };
+    },
+    "draw:op": object("Drawing operation"),
+    "stroke:begin": noPayload,
+    "stroke:end": noPayload,
+    "stroke:undo": noPayload,
+    "stroke:redo": noPayload,
+    "clear": noPayload,
+    "cursor": (value) => (isObject(value) && isCoordinate(value.x) && isCoordinate(value.y)
+        ? { payload: { x: value.x, y: value.y } }
+        : { error: `Cursor must be { x, y } with numbers within ±${DRAWING_LIMITS.coordinate}` }),
+    "word:select": (value) => (Number.isInteger(value) && value >= 0
+        ? { payload: value }
+        : { error: "Word choice must be the index of an offered word" }),
+    "settings:update": object("Settings"),
+    "game:start": noPayload,
+    "game:rematch": noPayload,
+    "chat:message": (value) => {
+        const message = typeof value === "string" ? value.trim() : "";
+        if (!message || message.length > LIMITS.chat.max) {
+            return { error: `Chat messages must be text of 1-${LIMITS.chat.max} characters` };
+        }
+        return { payload: message };
+    },
+    "host:kick": shortString("User ID", LIMITS.id),
+    "host:ban": shortString("User ID", LIMITS.id),
+    "host:transfer": shortString("User ID", LIMITS.id),
+    "host:lock": (value) => (typeof value === "boolean" ? { payload: value } : { error: "Lock must be true or false" }),
+    "host:skip": noPayload,
+    "role:switch": shortString("Role", LIMITS.name),
+    "team:join": shortString("Team", LIMITS.name),
+    "host:team": (value) => (isObject(value) && isShortString(value.userId, LIMITS.id) && isShortString(value.team, LIMITS.name)
+        ? { payload: { userId: value.userId, team: value.team } }
+        : { error: "Team assignment must be { userId, team }" })
+};
+
+// Validate a client event's payload. Returns { payload } (cleaned up) or { error }; unknown events are errors.
+const validateEvent = (event, payload) => {
+    const rule = EVENT_RULES[event];
+    return rule ? rule(payload) : { error: `Unknown event ${event}` };
+};
+
+// Clean up a requested user name: no control characters, single spaces, at most LIMITS.userName characters.
+// Returns null if nothing usable is left (the engine then picks a name).
+const cleanUserName = (userName) => {
+    if (typeof userName !== "string") return null;
+
+    const cleaned = userName.replace(/\p{C}/gu, "").replace(/\s+/g, " ").trim();
+    return Array.from(cleaned).slice(0, LIMITS.userName.max).join("").trim() || null;
+};
+
+// Check a room name. Returns an error message, or null if it's fine.
+const checkRoomName = (room) => (typeof room === "string" && room.length <= LIMITS.room.max && ROOM_PATTERN.test(room)
+    ? null
+    : `Room names must be 1-${LIMITS.room.max} letters, digits, "_" or "-"`);
+
+module.exports = {
+    MAX_PAYLOAD_BYTES,
+    LIMITS,
+    validateEvent,
+    cleanUserName,
+    checkRoomName
+};
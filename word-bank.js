@@ -0,0 +1,225 @@
+// Word bank for drawing game
+// Server-side word lists by language, category and difficulty, plus the word offer made to each drawer
+
+// Points multiplier applied to guess scoring for each difficulty
+const DIFFICULTY_MULTIPLIERS = {
+    easy: 1,
+    medium: 1.25,
+    hard: 1.5
+};
+
+const DIFFICULTIES = Object.keys(DIFFICULTY_MULTIPLIERS);
+
+// Number of candidate words offered to the drawer
+const WORD_OPTION_COUNT = 3;
+
+// Seconds the drawer has to choose before a word is picked for them
+const WORD_CHOICE_SECONDS = 15;
+
+// Words by language, then category, then difficulty
+const WORD_BANK = {
+    en: {
+        animals: {
+            easy: ["cat", "dog", "fish", "bird", "cow", "pig", "duck", "frog", "bee", "snake"],
+            medium: ["giraffe", "penguin", "kangaroo", "octopus", "squirrel", "hedgehog", "peacock", "dolphin"],
+            hard: ["platypus", "chameleon", "jellyfish", "sea horse", "armadillo", "praying mantis"]
+        },
+        food: {
+            easy: ["apple", "pizza", "egg", "cake", "banana", "bread", "cheese", "cookie"],
+            medium: ["hamburger", "spaghetti", "pineapple", "popcorn", "sandwich", "ice cream", "pancake"],
+            hard: ["sushi", "croissant", "fortune cookie", "corn on the cob", "gingerbread man"]
+        },
+        objects: {
+            easy: ["chair", "book", "ball", "cup", "key", "lamp", "door", "clock"],
+            medium: ["umbrella", "backpack", "scissors", "telescope", "toothbrush", "headphones", "candle"],
+            hard: ["hourglass", "chandelier", "paper clip", "swiss army knife", "wind chime"]
+        },
+        places: {
+            easy: ["house", "beach", "park", "farm", "school"],
+            medium: ["volcano", "lighthouse", "hospital", "castle", "airport", "island"],
+            hard: ["waterfall", "space station", "haunted house", "eiffel tower", "treehouse"]
+        },
+        actions: {
+            easy: ["run", "jump", "sleep", "swim", "eat"],
+            medium: ["juggling", "fishing", "skiing", "painting", "sneezing"],
+            hard: ["sleepwalking", "tightrope walking", "bungee jumping", "hide-and-seek"]
+        }
+    },
+    es: {
+        animales: {
+            easy: ["gato", "perro", "pez", "pájaro", "vaca", "cerdo", "pato", "rana"],
+            medium: ["jirafa", "pingüino", "canguro", "pulpo", "ardilla", "delfín"],
+            hard: ["ornitorrinco", "camaleón", "medusa", "caballito de mar", "armadillo"]
+        },
+        comida: {
+            easy: ["manzana", "pizza", "huevo", "pastel", "plátano", "pan", "queso"],
+            medium: ["hamburguesa", "espaguetis", "piña", "palomitas", "sándwich", "helado"],
+            hard: ["sushi", "cruasán", "churros con chocolate", "paella"]
+        },
+        objetos: {
+            easy: ["silla", "libro", "pelota", "taza", "llave", "lámpara", "puerta", "reloj"],
+            medium: ["paraguas", "mochila", "tijeras", "telescopio", "cepillo de dientes", "vela"],
+            hard: ["reloj de arena", "candelabro", "clip", "navaja suiza"]
+        },
+        lugares: {
+            easy: ["casa", "playa", "parque", "granja", "escuela"],
+            medium: ["volcán", "faro", "hospital", "castillo", "aeropuerto", "isla"],
+            hard: ["cascada", "estación espacial", "casa embrujada", "torre eiffel"]
+        }
+    },
+    fr: {
+        animaux: {
+            easy: ["chat", "chien", "poisson", "oiseau", "vache", "cochon", "canard", "grenouille"],
+            medium: ["girafe", "pingouin", "kangourou", "pieuvre", "écureuil", "hérisson", "dauphin"],
+            hard: ["ornithorynque", "caméléon", "méduse", "hippocampe", "tatou"]
+        },
+        nourriture: {
+            easy: ["pomme", "pizza", "œuf", "gâteau", "banane", "pain", "fromage"],
+            medium: ["hamburger", "spaghetti", "ananas", "pop-corn", "sandwich", "glace", "crêpe"],
+            hard: ["sushi", "croissant", "bonhomme en pain d'épices", "épi de maïs"]
+        },
+        objets: {
+            easy: ["chaise", "livre", "ballon", "tasse", "clé", "lampe", "porte", "horloge"],
+            medium: ["parapluie", "sac à dos", "ciseaux", "télescope", "brosse à dents", "bougie"],
+            hard: ["sablier", "lustre", "trombone", "couteau suisse"]
+        },
+        lieux: {
+            easy: ["maison", "plage", "parc", "ferme", "école"],
+            medium: ["volcan", "phare", "hôpital", "château", "aéroport", "île"],
+            hard: ["cascade", "station spatiale", "maison hantée", "tour eiffel"]
+        }
+    }
+};
+
+// Other answers accepted for a word, by language. Spelling variants that only differ in case, accents,
+// spacing, hyphens or plural endings match anyway and don't need listing.
+const WORD_ALIASES = {
+    en: {
+        "cat": ["kitten", "kitty"],
+        "dog": ["puppy"],
+        "pig": ["piggy"],
+        "bird": ["birdie"],
+        "hamburger": ["burger", "cheeseburger"],
+        "spaghetti": ["pasta"],
+        "popcorn": ["pop corn"],
+        "sandwich": ["sub"],
+        "headphones": ["headset"],
+        "clock": ["watch"],
+        "backpack": ["rucksack", "school bag"],
+        "house": ["home"],
+        "praying mantis": ["mantis"],
+        "corn on the cob": ["corn cob", "corncob"],
+        "gingerbread man": ["gingerbread"],
+        "swiss army knife": ["pocket knife", "penknife"],
+        "space station": ["iss"],
+        "paper clip": ["paperclip"],
+        "hide-and-seek": ["hide and go seek"]
+    },
+    es: {
+        "pájaro": ["ave"],
+        "cerdo": ["puerco", "cochino"],
+        "espaguetis": ["espagueti", "spaghetti"],
+        "sándwich": ["sandwich", "emparedado"],
+        "cruasán": ["croissant"],
+        "palomitas": ["palomitas de maíz"],
+        "pelota": ["balón"]
+    },
+    fr: {
+        "pingouin": ["manchot"],
+        "pop-corn": ["popcorn"],
+        "ballon": ["balle"],
+        "horloge": ["pendule"],
+        "glace": ["crème glacée"]
+    }
+};
+
+const LANGUAGES = Object.keys(WORD_BANK);
+const DEFAULT_LANGUAGE = "en";
+
+// Categories available for a language
+const getCategories = (language = DEFAULT_LANGUAGE) => Object.keys(WORD_BANK[language] || {});
+
+// Flatten the word bank into entries { word, category, difficulty }, optionally for one category
+const getWordEntries = ({ language = DEFAULT_LANGUAGE, category = null } = {}) => {
+    const bank = WORD_BANK[language] || WORD_BANK[DEFAULT_LANGUAGE];
+    const categories = category && bank[category] ? [category] : Object.keys(bank);
+    const entries = [];
+
+    categories.forEach(name => {
+        DIFFICULTIES.forEach(difficulty => {
+            (bank[name][difficulty] || []).forEach(word => {
+                entries.push({ word, category: name, difficulty });
+            });
+        });
+    });
+
+    return entries;
+};
+
+// Custom words have no curated difficulty, so longer words count as harder
+const getCustomWordDifficulty = (word) => {
+    const letters = word.replace(/[\s-]/g, "").length;
+    if (letters <= 5) return "easy";
+    if (letters <= 8) return "medium";
+    return "hard";
+};
+
+// Turn a room's custom word list into word entries
+const getCustomWordEntries = (customWords = []) => customWords.map(word => ({
+    word,
+    category: "custom",
+    difficulty: getCustomWordDifficulty(word)
+}));
+
+// Other answers accepted for a word (none for custom words or words without aliases)
+const getWordAliases = (word, language = DEFAULT_LANGUAGE) => WORD_ALIASES[language]?.[word] || [];
+
+const getDifficultyMultiplier = (difficulty) => DIFFICULTY_MULTIPLIERS[difficulty] || 1;
+
+const pickRandom = (items) => items[Math.floor(Math.random() * items.length)];
+
+// Pick candidate words for the drawer, one of each difficulty where possible.
+// Words in `usedWords` are skipped; if the bank runs dry they become eligible again.
+const pickWordOptions = (usedWords = new Set(), {
+    count = WORD_OPTION_COUNT,
+    language = DEFAULT_LANGUAGE,
+    category = null,
+    customWords = [],
+    customWordsOnly = false
+} = {}) => {
+    const customEntries = getCustomWordEntries(customWords);
+    const allEntries = customWordsOnly && customEntries.length > 0
+        ? customEntries
+        : [...getWordEntries({ language, category }), ...customEntries];
+    let available = allEntries.filter(entry => !usedWords.has(entry.word));
+    if (available.length < count) {
+        available = allEntries;
+    }
+
+    const options = [];
+    for (let i = 0; i < count && available.length > 0; i++) {
+        const difficulty = DIFFICULTIES[i % DIFFICULTIES.length];
+        const sameDifficulty = available.filter(entry => entry.difficulty === difficulty);
+        const entry = pickRandom(sameDifficulty.length > 0 ? sameDifficulty : available);
+
+        options.push({ ...entry, multiplier: getDifficultyMultiplier(entry.difficulty) });
+        available = available.filter(candidate => candidate.word !== entry.word);
+    }
+
+    return options;
+};
+
+module.exports = {
+    DIFFICULTY_MULTIPLIERS,
+    WORD_OPTION_COUNT,
+    WORD_CHOICE_SECONDS,
+    WORD_BANK,
+    WORD_ALIASES,
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    getCategories,
+    getWordEntries,
+    getWordAliases,
+    getDifficultyMultiplier,
+    pickWordOptions
+};
@@ -0,0 +1,74 @@
+// Word hint helpers for drawing game
+// Builds the masked pattern guessers see and reveals letters as the turn timer runs down
+
+const { readNumberList } = require("./config");
+
+// Characters kept as-is in the masked pattern: spaces, punctuation and symbols (e.g. "jack-o'-lantern")
+const VISIBLE_CHARACTERS = /[\s\p{P}\p{S}]/u;
+
+// Reveal points as fractions of turn time remaining, used when a timer doesn't specify its own
+// (by default one letter at 50% left, another at 25% left; set as e.g. "0.6,0.3,0.1")
+const HINT_REVEAL_POINTS = readNumberList("HINT_REVEAL_POINTS", [0.5, 0.25], point => point > 0 && point < 1);
+
+const isHiddenCharacter = (char) => !VISIBLE_CHARACTERS.test(char);
+
+// Count letters guessers have to find (spaces and punctuation don't count)
+const countLetters = (word) => Array.from(word).filter(isHiddenCharacter).length;
+
+// Mask a word, keeping spaces, punctuation and any revealed letter positions
+const maskWord = (word, revealed = new Set()) => Array.from(word)
+    .map((char, index) => (!isHiddenCharacter(char) || revealed.has(index) ? char : "_"))
+    .join("");
+
+// Build the hint payload sent to guessers
+const buildHint = (word, revealed = new Set()) => ({
+    pattern: maskWord(word, revealed),
+    length: countLetters(word),
+    revealed: revealed.size
+});
+
+// Reveal one random hidden letter, never giving away more than half the word.
+// Returns the revealed index, or null when nothing more can be revealed.
+const revealRandomLetter = (word, revealed) => {
+    const maxReveals = Math.floor(countLetters(word) / 2);
+    if (revealed.size >= maxReveals) return null;
+
+    const hidden = [];
+    Array.from(word).forEach((char, index) => {
+        if (isHiddenCharacter(char) && !revealed.has(index)) {
+            hidden.push(index);
+        }
+    });
+    if (hidden.length === 0) return null;
+
+    const index = hidden[Math.floor(Math.random() * hidden.length)];
+    revealed.add(index);
+    return index;
+};
+
+// Number of letters that should be revealed with `remaining` of `total` seconds left
+const getRevealTarget = (remaining, total, points = HINT_REVEAL_POINTS) =>
+    points.filter(point => remaining <= total * point).length;
+
+// Reveal letters until the target for the current countdown is met.
+// Returns true if anything new was revealed.
+const revealForCountdown = (word, revealed, remaining, total, points = HINT_REVEAL_POINTS) => {
+    const target = getRevealTarget(remaining, total, points);
+    let changed = false;
+
+    while (revealed.size < target && revealRandomLetter(word, revealed) !== null) {
+        changed = true;
+    }
+
+    return changed;
+};
+
+module.exports = {
+    HINT_REVEAL_POINTS,
+    countLetters,
+    maskWord,
+    buildHint,
+    revealRandomLetter,
+    getRevealTarget,
+    revealForCountdown
+};
@@ -0,0 +1,168 @@
+// Plain WebSocket server for drawing game
+// For clients that can't speak Socket.IO or gRPC (Unity, kiosks): JSON messages over a raw WebSocket
+// at ws://host:PORT/ws, sharing the HTTP server and the game engine with the other transports.
+//
+// Every message is a JSON envelope: { "type": string, "room": string, "payload": any }
+//   Client -> server:
+//     { type: "join", room, payload: { userName, sessionToken, password, role, stream } }
+//                                                       must come first; one room per connection. sessionToken (from
+//                                                       an earlier "session" event) reconnects as the same player;
+//                                                       password is for password-protected rooms; role "spectator"
+//                                                       joins to watch; stream "batch" receives drawing and cursors
+//                                                       batched (see drawing-stream.js)
+//     { type: "ping" }                                  answered with { type: "pong" } (for clients without
+//                                                       access to WebSocket ping frames)
+//     segment, segment:batch, draw:op, stroke:begin, stroke:end, stroke:undo, stroke:redo, clear, cursor, word:select,
+//     settings:update, game:start, game:rematch, chat:message, host:kick, host:ban, host:transfer, host:lock,
+//     host:skip, role:switch, team:join, host:team   with the same payloads as Socket.IO
+//   Server -> client: every event the Socket.IO server emits (session, users:update, user:joined, user:left, turn:start,
+//     word:selected, timer:update, chat:message, error, ...) with the same payloads. Relayed drawing and cursor
+//     events also carry "from", the user ID they came from.
+//
+// The server pings each connection every WS_HEARTBEAT_SECONDS and drops connections that miss a pong.
+
+const { WebSocketServer, WebSocket } = require("ws");
+const { v4: uuidv4 } = require("uuid");
+const { readNumber } = require("./config");
+const { MAX_PAYLOAD_BYTES } = require("./validation");
+
+const WS_PATH = "/ws";
+
+// Seconds between heartbeat pings
+const WS_HEARTBEAT_SECONDS = readNumber("WS_HEARTBEAT_SECONDS", 30, seconds => seconds > 0);
+
+// Close codes sent to clients
+const CLOSE_CODES = {
+    NORMAL: 1000,
+    GOING_AWAY: 1001,
+    CLOSED_BY_SERVER: 4000 // e.g. room full; the error event sent just before says why
+};
+
+// Utility: write one envelope to a socket if it's still open
+const sendEnvelope = (ws, type, room, payload, from) => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    const envelope = { type, room };
+    if (payload !== undefined) envelope.payload = payload;
+    if (from) envelope.from = from;
+    ws.send(JSON.stringify(envelope));
+};
+
+// Utility: send a structured error outside the engine (bad envelopes, events before joining)
+const sendError = (ws, room, code, message) => sendEnvelope(ws, "error", room, { code, message });
+
+// Utility: parse a client message, returning the envelope or null
+const parseEnvelope = (data) => {
+    try {
+        const envelope = JSON.parse(data.toString());
+        return envelope && typeof envelope === "object" && typeof envelope.type === "string" ? envelope : null;
+    } catch {
+        return null;
+    }
+};
+
+// Handle one WebSocket connection (`req` is the HTTP upgrade request it came from)
+const handleConnection = (engine, ws, req) => {
+    const connectionId = uuidv4();
+    let room = null; // Set once the join succeeds
+
+    ws.isAlive = true;
+    ws.on("pong", () => {
+        ws.isAlive = true;
+    });
+
+    ws.on("message", (data) => {
+        const envelope = parseEnvelope(data);
+        if (!envelope) {
+            sendError(ws, room, "INVALID_MESSAGE", "Messages must be JSON envelopes like { type, room, payload }");
+            return;
+        }
+
+        const { type, payload } = envelope;
+
+        if (type === "ping") {
+            sendEnvelope(ws, "pong", room);
+            return;
+        }
+
+        if (type === "join") {
+            if (room) {
+                sendError(ws, room, "ALREADY_JOINED", `Already in room ${room}`);
+                return;
+            }
+
+            const requestedRoom = typeof envelope.room === "string" && envelope.room ? envelope.room : "default";
+            const joined = engine.join({
+                id: connectionId,
+                room: requestedRoom,
+                userName: payload?.userName,
+                sessionToken: payload?.sessionToken,
+                password: payload?.password,
+                role: payload?.role,
+                stream: payload?.stream,
+                address: req.socket.remoteAddress,
+                transport: "ws",
+                send: (event, eventPayload, meta) => sendEnvelope(ws, event, meta.room, eventPayload, meta.from),
+                close: () => ws.close(CLOSE_CODES.CLOSED_BY_SERVER, "Closed by server")
+            });
+            if (joined) room = requestedRoom;
+            return;
+        }
+
+        if (!room) {
+            sendError(ws, null, "NOT_JOINED", "Send a join message first");
+            return;
+        }
+
+        engine.handle(connectionId, type, payload);
+    });
+
+    // Clean up however the connection ends
+    ws.on("close", () => {
+        if (room) engine.leave(connectionId);
+        console.log(`🔌 WebSocket connection ${connectionId} closed`);
+    });
+
+    ws.on("error", (error) => {
+        console.error(`WebSocket connection ${connectionId} error:`, error.message);
+        ws.terminate();
+    });
+};
+
+// Start the WebSocket endpoint on an existing HTTP server, around a game engine (shared with the other transports)
+const startWsServer = (engine, server) => {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+    // Only take upgrades for our path; Socket.IO handles its own on the same server
+    server.on("upgrade", (req, socket, head) => {
+        if (new URL(req.url, "http://localhost").pathname !== WS_PATH) return;
+
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
+    });
+
+    wss.on("connection", (ws, req) => handleConnection(engine, ws, req));
+
+    // Heartbeat: drop connections that didn't answer the last ping
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (!ws.isAlive) {
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, WS_HEARTBEAT_SECONDS * 1000);
+
+    // Close every connection cleanly when the HTTP server shuts down
+    server.on("close", () => {
+        clearInterval(heartbeat);
+        wss.clients.forEach(ws => ws.close(CLOSE_CODES.GOING_AWAY, "Server shutting down"));
+        wss.close();
+    });
+
+    console.log(`✅ WebSocket endpoint on ${WS_PATH}`);
+    return wss;
+};
+
+module.exports = startWsServer;